@@ -1,5 +1,5 @@
 // copyTools.js
-// Copies runtime source files into build directory so the built package contains tools, system, agents, controllers, storage, utils.
+// Copies runtime source files into build directory so the built package contains tools, system, agents, plugins, controllers, storage, utils.
 
 import fs from "fs";
 import path from "path";
@@ -27,6 +27,7 @@ const pairs = [
   { src: path.join(__dirname, "src", "tools"), dest: path.join(__dirname, "build", "tools") },
   { src: path.join(__dirname, "src", "system"), dest: path.join(__dirname, "build", "system") },
   { src: path.join(__dirname, "src", "agents"), dest: path.join(__dirname, "build", "agents") },
+  { src: path.join(__dirname, "src", "plugins"), dest: path.join(__dirname, "build", "plugins") },
   { src: path.join(__dirname, "src", "controllers"), dest: path.join(__dirname, "build", "controllers") },
   { src: path.join(__dirname, "src", "storage"), dest: path.join(__dirname, "build", "storage") },
   { src: path.join(__dirname, "src", "utils"), dest: path.join(__dirname, "build", "utils") },
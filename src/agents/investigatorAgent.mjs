@@ -4,6 +4,8 @@
  * Uses the language lookup, dependency graph, test runner tools via toolRunner
  */
 
+import { isAbortError, throwIfAborted } from "../system/abort.mjs";
+
 /**
  * @param {object} [opts]
  * @param {import('../system/toolRunner.mjs').default} [opts.toolRunner]
@@ -18,11 +20,11 @@ export default function createInvestigatorAgent({ toolRunner = null, taskManager
 
     /**
      * analyzeFailure - accepts { file, line, error, stack } and context
-     * Returns an RCA report object
+     * Returns an RCA report object; opts.signal cancels the remaining lookups
      */
-    async analyzeFailure({ file = null, line = null, error = null, stack = null } = {}, context = {}) {
+    async analyzeFailure({ file = null, line = null, error = null, stack = null } = {}, context = {}, { signal = null } = {}) {
       if (!taskManager) throw new Error("investigatorAgent requires taskManager");
-      const t = await taskManager.createTask({ title: `RCA: ${file || "unknown"}`, meta: { file, line } });
+      const t = await taskManager.createTask({ title: `RCA: ${file || "unknown"}`, meta: { file, line, projectRoot: context.projectRoot || null } });
 
       try {
         await taskManager.addStep(t.id, { description: "Locate symbol (language_lookup)", meta: {} });
@@ -30,30 +32,35 @@ export default function createInvestigatorAgent({ toolRunner = null, taskManager
         // language lookup (optional)
         let symbol = null;
         try {
-          symbol = await toolRunner.call(context.toolHandlers || {}, "language_lookup", { file, line }, context);
+          symbol = await toolRunner.call(context.toolHandlers || {}, "language_lookup", { file, line }, context, { signal });
           await taskManager.addStep(t.id, { description: "language_lookup done", meta: {} });
         } catch (e) {
+          if (isAbortError(e)) throw e;
           await taskManager.addStep(t.id, { description: "language_lookup failed", meta: { error: String(e) } });
         }
 
         // dependency graph
         let deps = null;
         try {
-          deps = await toolRunner.call(context.toolHandlers || {}, "dependency_graph", { file }, context);
+          deps = await toolRunner.call(context.toolHandlers || {}, "dependency_graph", { file }, context, { signal });
           await taskManager.addStep(t.id, { description: "dependency_graph done", meta: {} });
         } catch (e) {
+          if (isAbortError(e)) throw e;
           await taskManager.addStep(t.id, { description: "dependency_graph failed", meta: { error: String(e) } });
         }
 
         // run tests (best-effort)
         let testRes = null;
         try {
-          testRes = await toolRunner.call(context.toolHandlers || {}, "test_runner", { file }, context);
+          testRes = await toolRunner.call(context.toolHandlers || {}, "test_runner", { file }, context, { signal });
           await taskManager.addStep(t.id, { description: "test_runner done", meta: {} });
         } catch (e) {
+          if (isAbortError(e)) throw e;
           await taskManager.addStep(t.id, { description: "test_runner failed or not present", meta: { error: String(e) } });
         }
 
+        throwIfAborted(signal, "Investigation");
+
         // compose RCA basic report
         const report = {
           file,
@@ -70,7 +77,8 @@ export default function createInvestigatorAgent({ toolRunner = null, taskManager
 
         return report;
       } catch (e) {
-        await taskManager.failTask(t.id, String(e));
+        if (isAbortError(e)) await taskManager.cancelTask(t.id, e.message);
+        else await taskManager.failTask(t.id, String(e));
         throw e;
       }
     },
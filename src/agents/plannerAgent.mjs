@@ -3,10 +3,21 @@
  * Planner Agent
  * - generatePlan(intent, context) -> uses ollamaTool to produce JSON plan
  * - planAndExecute(intent, context, opts) -> registers tasks and executes plan via workflowEngine + toolRunner
+ * - previewPlan(intent, context, opts) / executePlan(planId, context, opts) -> two-phase flow where the
+ *   validated plan is returned first and only runs once approved (optionally edited); previews expire
+ * - cancel(taskId) / cancelAll() -> stop plan runs; runs that return before they finish (wait false)
+ *   have their own AbortController instead of the request's signal
  *
- * Plan JSON expected: [ { id, description, tool, args, dependsOn: [] } ]
+ * Plan JSON expected: [ { id, description, tool, args, dependsOn: [], when?, forEach? } ]
+ * args may read earlier results with ${steps.<id>.result...}; `when` skips a step when false and
+ * `forEach` runs the tool once per item (${item}, ${index}). See system/planExpressions.mjs.
  */
 
+import crypto from "crypto";
+import path from "path";
+import { isAbortError, throwIfAborted } from "../system/abort.mjs";
+import { checkExpressions, referencedSteps, resolveExpressions, resolveForEach } from "../system/planExpressions.mjs";
+
 /**
  * @param {object} [opts]
  * @param {any} [opts.ollamaTool]
@@ -14,13 +25,264 @@
  * @param {import('../system/toolRunner.mjs').default} [opts.toolRunner]
  * @param {import('../system/taskManager.mjs').default} [opts.taskManager]
  * @param {import('../system/eventBus.mjs').default} [opts.eventBus]
+ * @param {number} [opts.previewTtlMs] how long a previewed plan can be approved (default 15 minutes)
  */
-export default function createPlannerAgent({ ollamaTool = null, workflowEngine = null, toolRunner = null, taskManager = null, eventBus = null } = {}) {
+export default function createPlannerAgent({ ollamaTool = null, workflowEngine = null, toolRunner = null, taskManager = null, eventBus = null, previewTtlMs = 15 * 60 * 1000 } = {}) {
   if (!ollamaTool || typeof ollamaTool.handler !== "function") {
     // Provide a fallback planner that errors explicitly to avoid silent surprises
     console.warn("[plannerAgent] Warning: ollamaTool missing - planner will not be able to generate LLM plans.");
   }
 
+  // fn run by workflowEngine for one plan step: records a step on the step task and calls the tool,
+  // once, or once per forEach item; args are resolved against the run's scope at call time.
+  // Finished forEach items are kept on the step task (meta.forEachDone), so a retry - by the
+  // engine or through retry() - only calls the tool for the items that did not complete
+  function stepFn(stepTaskId, p, context) {
+    return async ({ signal, scope } = {}) => {
+      const base = scope || { steps: {} };
+      if (p.forEach === undefined || p.forEach === null) return runTool(stepTaskId, p, base, `execute ${p.tool}`, context, signal);
+
+      const items = resolveForEach(p.forEach, base);
+      const results = [];
+      for (let index = 0; index < items.length; index++) {
+        throwIfAborted(signal, "Plan step");
+        const done = forEachDone(stepTaskId, index, items[index]);
+        if (done) {
+          results.push(done.result);
+          continue;
+        }
+        const res = await runTool(stepTaskId, p, { ...base, item: items[index], index }, `execute ${p.tool} [${index}]`, context, signal);
+        await recordForEachItem(stepTaskId, index, items[index], res);
+        results.push(res);
+      }
+      return results;
+    };
+  }
+
+  // the recorded outcome of forEach item `index`, if it completed for this same item
+  function forEachDone(stepTaskId, index, item) {
+    const t = taskManager.getTask(stepTaskId);
+    const done = t && t.meta && Array.isArray(t.meta.forEachDone) ? t.meta.forEachDone[index] : null;
+    return done && JSON.stringify(done.item) === JSON.stringify(item) ? done : null;
+  }
+
+  async function recordForEachItem(stepTaskId, index, item, result) {
+    const t = taskManager.getTask(stepTaskId);
+    if (!t) return;
+    const forEachDone = Array.isArray(t.meta && t.meta.forEachDone) ? [...t.meta.forEachDone] : [];
+    forEachDone[index] = { item: item ?? null, result: result ?? null };
+    t.meta = { ...t.meta, forEachDone };
+    await taskManager.updateTask(t).catch(() => {});
+  }
+
+  function implicitDeps(p, stepId) {
+    const refs = [...referencedSteps(p.args || {}), ...referencedSteps([p.when, p.forEach], { bare: true })];
+    return [...new Set([...(p.dependsOn || []), ...refs])].filter((d) => d !== stepId);
+  }
+
+  const previews = new Map(); // planId -> { planId, intent, plan, projectRoot, createdAt, expiresAt }
+  const background = new Map(); // main task id -> { controller, run } of a run that outlives its request
+
+  // a run that is not waited for must not end with the request that started it
+  function runInBackground(mainId, start, what) {
+    const entry = { controller: new AbortController(), run: null };
+    entry.run = start(entry.controller.signal)
+      .catch((e) => console.error(`[PlannerAgent] ${what} failed:`, mainId, e))
+      .finally(() => { if (background.get(mainId) === entry) background.delete(mainId); });
+    background.set(mainId, entry);
+  }
+
+  function purgeExpired() {
+    const now = Date.now();
+    for (const [id, entry] of previews) {
+      if (entry.expiresAt > now) continue;
+      previews.delete(id);
+      if (eventBus) eventBus.emit("planner.plan.expired", { planId: id, intent: entry.intent });
+    }
+  }
+
+  // the fields of a plan step a reviewer sees, with the annotations of its tool
+  function describeStep(p, context) {
+    const handler = (context.toolHandlers || {})[p.tool];
+    const annotations = (handler && handler.annotations) || {};
+    const out = { id: p.id, description: p.description || null, tool: p.tool, args: p.args || {}, dependsOn: implicitDeps(p, p.id) };
+    if (p.when !== undefined) out.when = p.when;
+    if (p.forEach !== undefined) out.forEach = p.forEach;
+    return { ...out, readOnly: annotations.readOnlyHint === true, destructive: annotations.readOnlyHint !== true && annotations.destructiveHint !== false };
+  }
+
+  // apply planner_execute edits: [{ id, remove?: true, ...fields }]; fields replace the step's,
+  // an unknown id with a tool appends a new step
+  function applyEdits(plan, edits = []) {
+    if (!Array.isArray(edits)) throw new Error("edits must be an array");
+    let out = plan.map((p) => ({ ...p }));
+    for (const edit of edits) {
+      if (!edit || typeof edit !== "object" || typeof edit.id !== "string") throw new Error("each edit needs a step id");
+      const { id, remove, ...fields } = edit;
+      const idx = out.findIndex((p) => p.id === id);
+      if (idx < 0) {
+        if (remove) continue;
+        if (typeof fields.tool !== "string") throw new Error(`Unknown step ${id} in edits`);
+        out.push({ id, ...fields });
+      } else if (remove) {
+        out = out.filter((p) => p.id !== id);
+      } else {
+        out[idx] = { ...out[idx], ...fields };
+      }
+    }
+    return out;
+  }
+
+  async function runTool(stepTaskId, p, scope, description, context, signal) {
+    // mark step started in taskManager
+    const addedStep = await taskManager.addStep(stepTaskId, { description, meta: { plan: true } });
+    await taskManager.startStep(stepTaskId, addedStep.id).catch(() => {});
+    // call tool via toolRunner
+    let res;
+    try {
+      const args = resolveExpressions(p.args || {}, scope);
+      res = await toolRunner.call(context.toolHandlers || {}, p.tool, args, context, { taskId: stepTaskId, stepId: addedStep.id, signal });
+    } catch (e) {
+      if (isAbortError(e)) {
+        await taskManager.cancelStep(stepTaskId, addedStep.id, e.message).catch(() => {});
+        await taskManager.cancelTask(stepTaskId, e.message).catch(() => {});
+      } else {
+        await taskManager.failStep(stepTaskId, addedStep.id, String(e)).catch(() => {});
+      }
+      throw e;
+    }
+    // complete step
+    await taskManager.completeStep(stepTaskId, addedStep.id, res).catch(() => {});
+    return res;
+  }
+
+  /**
+   * rollUp - settle a plan's main task from its step tasks: completed when no step failed or was
+   * cancelled (condition-skipped steps count as done), failed when none completed, otherwise
+   * partially_failed. The task result aggregates every step's output and error. Returns null for
+   * tasks without plan steps and leaves the main task alone while steps are still pending/running.
+   */
+  async function rollUp(mainTaskId) {
+    const main = taskManager.getTask(mainTaskId);
+    if (!main) return null;
+    const children = taskManager.listTasks().filter((t) => t.parent === mainTaskId && t.meta && t.meta.tool);
+    if (!children.length) return null;
+
+    const steps = children.map((t) => ({ id: t.meta.stepId || t.id, taskId: t.id, tool: t.meta.tool, status: t.status, result: t.result ?? null, error: t.error ?? null }));
+    const count = (...statuses) => steps.filter((s) => statuses.includes(s.status)).length;
+    const summary = {
+      total: steps.length,
+      completed: count("completed"),
+      failed: count("failed", "interrupted"),
+      cancelled: count("cancelled"),
+      skipped: count("skipped"),
+      pending: count("pending", "running"),
+    };
+    if (summary.pending) return { taskId: mainTaskId, status: main.status, summary, steps };
+
+    const result = { summary, steps };
+    const bad = steps.filter((s) => ["failed", "interrupted", "cancelled"].includes(s.status));
+    const error = bad.length ? `${bad.length} of ${steps.length} steps did not complete: ${bad.map((s) => `${s.id}: ${s.error || s.status}`).join("; ")}` : null;
+    let status;
+    if (!bad.length) {
+      main.error = null;
+      await taskManager.completeTask(mainTaskId, result);
+      status = "completed";
+    } else if (!summary.completed) {
+      await taskManager.failTask(mainTaskId, error, result);
+      status = "failed";
+    } else {
+      await taskManager.partiallyFailTask(mainTaskId, error, result);
+      status = "partially_failed";
+    }
+    if (eventBus) await eventBus.emitPersisted("planner.plan.finished", { taskId: mainTaskId, status, summary });
+    return { taskId: mainTaskId, status, summary, steps };
+  }
+
+  // create step tasks for a validated plan under mainTask and run them through workflowEngine;
+  // unless wait is true it returns once the steps are scheduled and the roll-up happens in the background
+  async function runPlan(mainTask, plan, context, signal, { wait = false } = {}) {
+    const steps = [];
+
+    // map plan to internal step defs
+    for (const p of plan) {
+      const stepId = p.id;
+      // args are kept on the step task so task_retry can re-run it
+      const stepTask = await taskManager.createTask({ title: p.description || p.tool || stepId, parent: mainTask.id, meta: { tool: p.tool, stepId, args: p.args || {}, when: p.when, forEach: p.forEach, projectRoot: context.projectRoot || null } });
+      await taskManager.addStep(mainTask.id, { description: p.description || p.tool, meta: { tool: p.tool, stepId } });
+
+      // define fn to run via workflowEngine which calls toolRunner
+      const fn = stepFn(stepTask.id, p, context);
+
+      steps.push({
+        id: stepTask.id,
+        fn,
+        // persisted by workflowEngine so the step can be resumed after a restart
+        node: { kind: "tool", tool: p.tool, args: p.args || {}, stepId, when: p.when, forEach: p.forEach, projectRoot: context.projectRoot || null },
+        // steps read through ${steps.<id>} (in args, when or forEach) are implicit dependencies
+        dependsOn: implicitDeps(p, stepId).map((dep) => {
+          // Resolve dep by mapping id names in plan to task ids if possible
+          const matched = plan.find((pl) => pl.id === dep);
+          if (matched) {
+            // find corresponding created subtask id
+            // assume order preserved: find index
+            const idx = plan.indexOf(matched);
+            const created = idx < plan.length ? plan[idx] : null;
+          }
+          // in this simple implementation, planner will not remap names; workflowEngine will trust dependsOn if it's taskId
+          return dep;
+        }),
+        // allow per-step retry config
+        retries: p.retries || undefined,
+        timeoutMs: p.timeoutMs || undefined,
+      });
+    }
+
+    // If plan steps used user-provided ids (not task ids), we need to remap dependencies to created task ids:
+    // For reliability: remap step original IDs to created taskIds
+    const idMap = {};
+    for (let i = 0; i < plan.length && i < steps.length; i++) {
+      const original = plan[i].id || null;
+      if (original) idMap[original] = steps[i].id;
+    }
+    // remap dependsOn arrays
+    for (const s of steps) {
+      if (!Array.isArray(s.dependsOn)) s.dependsOn = [];
+      s.dependsOn = s.dependsOn.map((d) => idMap[d] || d);
+      const t = taskManager.getTask(s.id);
+      t.meta = { ...t.meta, dependsOn: s.dependsOn };
+      await taskManager.updateTask(t);
+    }
+
+    const scheduledSteps = steps.map((s) => s.id);
+    const start = (signal) => (async () => {
+      // schedule via workflowEngine; an invalid graph (cycle, unknown dependency) fails the plan
+      try {
+        await workflowEngine.runGraph(mainTask.id, steps, { signal });
+      } catch (err) {
+        await taskManager.failTask(mainTask.id, String(err)).catch(() => {});
+        throw err;
+      }
+
+      if (signal && signal.aborted) {
+        // steps still waiting on deps or the queue never ran; mark them cancelled too
+        for (const s of steps) {
+          const t = taskManager.getTask(s.id);
+          if (t && (t.status === "pending" || t.status === "running")) await taskManager.cancelTask(s.id, "plan cancelled").catch(() => {});
+        }
+        await taskManager.cancelTask(mainTask.id, "plan cancelled").catch(() => {});
+        return { taskId: mainTask.id, cancelled: true, scheduledSteps };
+      }
+
+      // every step has settled; the main task's status rolls up from them
+      return { ...(await rollUp(mainTask.id)), scheduledSteps };
+    })();
+
+    if (wait) return start(signal);
+    runInBackground(mainTask.id, start, "plan run");
+    return { taskId: mainTask.id, status: "running", scheduledSteps };
+  }
+
   return {
     name: "plannerAgent",
 
@@ -32,6 +294,8 @@ export default function createPlannerAgent({ ollamaTool = null, workflowEngine =
       const prompt = `
 You are a planner. Given the user intent, return a JSON array of steps.
 Each step: { "id": "step1", "description":"...", "tool":"tool_name", "args": {...}, "dependsOn": ["step0"] }
+Args may use earlier results: "\${steps.step0.result.field}". Optional "when": "steps.step0.result.count > 0"
+skips the step when false; optional "forEach": "steps.step0.result.items" runs the tool per item ("\${item}", "\${index}").
 
 User intent:
 ${intent}
@@ -60,91 +324,216 @@ Return ONLY JSON.
       }
     },
 
+    /**
+     * validatePlan - normalise and check a plan before anything runs: ids (step1, step2... when
+     * missing), known tools, known dependencies, parsable expressions and no dependency cycles.
+     * Throws on the first problem; returns the normalised steps.
+     */
+    validatePlan(plan, context = {}) {
+      if (!Array.isArray(plan) || !plan.length) throw new Error("Plan must be a non-empty array of steps");
+      const steps = plan.map((p, i) => {
+        if (!p || typeof p !== "object") throw new Error(`Plan step ${i + 1} is not an object`);
+        return { ...p, id: p.id ? String(p.id) : `step${i + 1}`, args: p.args || {}, dependsOn: Array.isArray(p.dependsOn) ? p.dependsOn.map(String) : [] };
+      });
+
+      const ids = new Set();
+      for (const p of steps) {
+        if (ids.has(p.id)) throw new Error(`Duplicate step id ${p.id}`);
+        ids.add(p.id);
+        if (typeof p.tool !== "string" || !p.tool) throw new Error(`Step ${p.id} has no tool`);
+        if (typeof (context.toolHandlers || {})[p.tool] !== "function") throw new Error(`Step ${p.id} uses unknown tool ${p.tool}`);
+        try {
+          checkExpressions(p.args);
+          checkExpressions([p.when, p.forEach], { bare: true });
+        } catch (e) {
+          throw new Error(`Step ${p.id}: ${e instanceof Error ? e.message : String(e)}`);
+        }
+      }
+      for (const p of steps) {
+        for (const d of implicitDeps(p, p.id)) if (!ids.has(d)) throw new Error(`Step ${p.id} depends on unknown step ${d}`);
+      }
+      if (workflowEngine) workflowEngine.validateGraph(steps.map((p) => ({ id: p.id, dependsOn: implicitDeps(p, p.id) })));
+      return steps;
+    },
+
     /**
      * planAndExecute orchestrates a plan:
      * - creates a main task
      * - creates subtasks for each step
      * - registers them with workflowEngine
      * - schedules their execution which calls tools via toolRunner
+     * With opts.mode === "preview" nothing runs; see previewPlan.
+     * Returns { taskId, status: "running", scheduledSteps } right away unless opts.wait is true,
+     * in which case it resolves with the rolled-up result once every step settled.
      */
     async planAndExecute(intent, context = {}, opts = {}) {
-      // opts: { explainWhy, concurrency, maxSteps }
+      // opts: { mode, wait (default false), explainWhy, concurrency, maxSteps, signal }
       if (!taskManager || !workflowEngine || !toolRunner) {
         throw new Error("PlannerAgent: missing required components (taskManager/workflowEngine/toolRunner)");
       }
+      if (opts.mode === "preview") return this.previewPlan(intent, context, opts);
+      const signal = opts.signal || null;
 
-      const mainTask = await taskManager.createTask({ title: intent, meta: { intent } });
+      const mainTask = await taskManager.createTask({ title: intent, meta: { intent, projectRoot: context.projectRoot || null } });
 
       // generate plan
-      const plan = await this.generatePlan(intent, context, opts);
-      const steps = [];
+      let plan;
+      try {
+        plan = await this.generatePlan(intent, context, opts);
+        plan = this.validatePlan(plan.slice(0, opts.maxSteps || plan.length), context);
+        throwIfAborted(signal, "Plan");
+      } catch (e) {
+        if (isAbortError(e)) await taskManager.cancelTask(mainTask.id, e.message).catch(() => {});
+        else await taskManager.failTask(mainTask.id, String(e)).catch(() => {});
+        throw e;
+      }
+      return runPlan(mainTask, plan, context, signal, { wait: opts.wait === true });
+    },
 
-      // map plan to internal step defs
-      for (const p of plan.slice(0, opts.maxSteps || plan.length)) {
-        const stepId = p.id || `step-${Math.random().toString(36).slice(2,9)}`;
-        const stepTask = await taskManager.createTask({ title: p.description || p.tool || stepId, parent: mainTask.id, meta: { tool: p.tool, stepId } });
-        await taskManager.addStep(mainTask.id, { description: p.description || p.tool, meta: { tool: p.tool, stepId } });
-
-        // define fn to run via workflowEngine which calls toolRunner
-        const fn = async () => {
-          // mark step started in taskManager
-          const addedStep = await taskManager.addStep(stepTask.id, { description: `execute ${p.tool}`, meta: { plan: true } });
-          await taskManager.startStep(stepTask.id, addedStep.id).catch(() => {});
-          // call tool via toolRunner
-          const res = await toolRunner.call(context.toolHandlers || {}, p.tool, p.args || {}, context, { taskId: stepTask.id, stepId: addedStep.id });
-          // complete step
-          await taskManager.completeStep(stepTask.id, addedStep.id, res).catch(() => {});
-          return res;
-        };
+    /**
+     * previewPlan - generate and validate a plan without running it. Returns { planId, plan,
+     * expiresAt }; the plan runs only through executePlan(planId) before it expires.
+     */
+    async previewPlan(intent, context = {}, opts = {}) {
+      purgeExpired();
+      let plan = await this.generatePlan(intent, context, opts);
+      plan = this.validatePlan(plan.slice(0, opts.maxSteps || plan.length), context);
+      throwIfAborted(opts.signal, "Plan");
 
-        steps.push({
-          id: stepTask.id,
-          fn,
-          dependsOn: (p.dependsOn || []).map((dep) => {
-            // Resolve dep by mapping id names in plan to task ids if possible
-            const matched = plan.find((pl) => pl.id === dep);
-            if (matched) {
-              // find corresponding created subtask id
-              // assume order preserved: find index
-              const idx = plan.indexOf(matched);
-              const created = idx < plan.length ? plan[idx] : null;
-            }
-            // in this simple implementation, planner will not remap names; workflowEngine will trust dependsOn if it's taskId
-            return dep;
-          }),
-          // allow per-step retry config
-          retries: p.retries || undefined,
-          timeoutMs: p.timeoutMs || undefined,
-        });
+      const now = Date.now();
+      const entry = { planId: crypto.randomUUID(), intent, plan, projectRoot: context.projectRoot || null, createdAt: now, expiresAt: now + previewTtlMs };
+      previews.set(entry.planId, entry);
+      if (eventBus) await eventBus.emitPersisted("planner.plan.previewed", { planId: entry.planId, intent, steps: plan.length });
+      return { planId: entry.planId, intent, expiresAt: new Date(entry.expiresAt).toISOString(), plan: plan.map((p) => describeStep(p, context)) };
+    },
+
+    /**
+     * executePlan - run a previewed plan once approved. opts.approve must be true; false discards
+     * the plan. opts.edits ([{ id, remove?, ...fields }]) are applied and re-validated first;
+     * It returns once the steps are scheduled unless opts.wait is true.
+     * An approved plan only runs in the project root it was previewed for.
+     */
+    async executePlan(planId, context = {}, { approve = false, edits = null, wait = false, signal = null } = {}) {
+      if (!taskManager || !workflowEngine || !toolRunner) {
+        throw new Error("PlannerAgent: missing required components (taskManager/workflowEngine/toolRunner)");
+      }
+      purgeExpired();
+      const entry = previews.get(planId);
+      if (!entry) throw new Error(`Plan ${planId} not found or expired`);
+      if (approve !== true) {
+        previews.delete(planId);
+        if (eventBus) await eventBus.emitPersisted("planner.plan.rejected", { planId, intent: entry.intent });
+        return { planId, rejected: true };
       }
 
-      // If plan steps used user-provided ids (not task ids), we need to remap dependencies to created task ids:
-      // For reliability: remap step original IDs to created taskIds
-      const idMap = {};
-      for (let i = 0; i < plan.length && i < steps.length; i++) {
-        const original = plan[i].id || null;
-        if (original) idMap[original] = steps[i].id;
+      const root = context.projectRoot ? path.resolve(context.projectRoot) : null;
+      if ((entry.projectRoot ? path.resolve(entry.projectRoot) : null) !== root) {
+        throw new Error(`Plan ${planId} was previewed for ${entry.projectRoot || "no project root"} and cannot run in ${root || "no project root"}`);
       }
-      // remap dependsOn arrays
-      for (const s of steps) {
-        if (!Array.isArray(s.dependsOn)) s.dependsOn = [];
-        s.dependsOn = s.dependsOn.map((d) => idMap[d] || d);
+      const plan = this.validatePlan(edits ? applyEdits(entry.plan, edits) : entry.plan, context);
+      previews.delete(planId);
+      if (eventBus) await eventBus.emitPersisted("planner.plan.approved", { planId, intent: entry.intent, edited: !!edits });
+
+      const mainTask = await taskManager.createTask({ title: entry.intent, meta: { intent: entry.intent, planId, projectRoot: context.projectRoot || null } });
+      return { planId, ...(await runPlan(mainTask, plan, context, signal, { wait })) };
+    },
+
+    // settle a plan's main task from its steps (also used after resumed runs, see index.ts)
+    rollUp,
+
+    /**
+     * resumeStep builds the fn for a persisted workflow node after a restart (see
+     * WorkflowEngine.loadFromDb). Returns null - the node is marked interrupted - when the tool is
+     * gone, or when the step was already running and its tool is not annotated idempotent.
+     */
+    resumeStep(node, task, context = {}) {
+      if (!node || node.kind !== "tool" || !node.tool) return null;
+      const handler = (context.toolHandlers || {})[node.tool];
+      if (typeof handler !== "function") return null;
+      const wasRunning = (task.steps || []).some((s) => s.status === "running");
+      if (wasRunning && !(handler.annotations && handler.annotations.idempotentHint === true)) return null;
+      return stepFn(node.id, { tool: node.tool, args: node.args || {}, forEach: node.forEach }, context);
+    },
+
+    /**
+     * retry re-schedules the unfinished steps of a plan run (failed, cancelled, or never run
+     * because a dependency failed). taskId may be the plan's main task or a single step task.
+     * forEach steps only re-run the items that did not complete.
+     * Like runPlan it returns once the steps are scheduled unless opts.wait is true.
+     */
+    async retry(taskId, context = {}, opts = {}) {
+      if (!taskManager || !workflowEngine || !toolRunner) {
+        throw new Error("PlannerAgent: missing required components (taskManager/workflowEngine/toolRunner)");
       }
+      const task = taskManager.getTask(taskId);
+      if (!task) throw new Error(`Task not found: ${taskId}`);
 
-      // schedule via workflowEngine
-      await workflowEngine.runGraph(mainTask.id, steps);
+      const isStep = !!(task.parent && task.meta && task.meta.tool);
+      const mainId = isStep ? task.parent : task.id;
+      if (workflowEngine.runs && workflowEngine.runs.has(mainId)) throw new Error(`Plan ${mainId} is still running`);
 
-      // mark main task completed once children settle — we poll children statuses
-      // simple approach: wait briefly and then mark completed (or leave external)
-      setTimeout(async () => {
-        try {
-          await taskManager.completeTask(mainTask.id, { message: "Plan scheduled" });
-        } catch (e) {
-          console.error("[PlannerAgent] complete main task failed:", e);
-        }
-      }, 200);
+      const candidates = isStep ? [task] : taskManager.listTasks().filter((t) => t.parent === mainId && t.meta && t.meta.tool);
+      const toRetry = candidates.filter((t) => t.status !== "completed");
+      if (!toRetry.length) return { taskId: mainId, retriedSteps: [], message: "Nothing to retry" };
 
-      return { taskId: mainTask.id, scheduledSteps: steps.map((s) => s.id) };
+      const steps = [];
+      for (const t of toRetry) {
+        t.status = "pending"; t.error = null; t.result = null;
+        t.meta = { ...t.meta, retryCount: (t.meta.retryCount || 0) + 1 };
+        await taskManager.updateTask(t);
+        steps.push({
+          id: t.id,
+          fn: stepFn(t.id, { tool: t.meta.tool, args: t.meta.args || {}, forEach: t.meta.forEach }, context),
+          dependsOn: t.meta.dependsOn || [],
+          node: { kind: "tool", tool: t.meta.tool, args: t.meta.args || {}, stepId: t.meta.stepId, when: t.meta.when, forEach: t.meta.forEach, projectRoot: context.projectRoot || null },
+        });
+      }
+
+      // the steps that already completed stay in the run's scope for ${steps.<id>} expressions
+      const done = taskManager.listTasks().filter((t) => t.parent === mainId && t.meta && t.meta.tool && t.status === "completed");
+      const start = (signal) => (async () => {
+        const settled = await workflowEngine.runGraph(mainId, steps, {
+          signal,
+          settled: done.map((t) => ({ id: t.id, node: { kind: "tool", tool: t.meta.tool, args: t.meta.args || {}, stepId: t.meta.stepId, when: t.meta.when, forEach: t.meta.forEach, projectRoot: context.projectRoot || null } })),
+        });
+        const rolled = await rollUp(mainId);
+        return {
+          taskId: mainId,
+          status: rolled ? rolled.status : (taskManager.getTask(mainId) || {}).status,
+          retriedSteps: steps.map((s, i) => ({ id: s.id, status: (taskManager.getTask(s.id) || {}).status || settled[i].status })),
+        };
+      })();
+
+      if (opts.wait === true) return start(opts.signal || null);
+      runInBackground(mainId, start, "retry");
+      return { taskId: mainId, status: "running", retriedSteps: steps.map((s) => ({ id: s.id, status: "pending" })) };
+    },
+
+    /**
+     * cancel stops the plan run taskId belongs to (its main task or one of its step tasks).
+     * Steps that have not finished are recorded as cancelled. Resolves { taskId, cancelled },
+     * with cancelled false when no run of that plan is in flight.
+     */
+    async cancel(taskId, reason = "cancelled") {
+      if (!taskManager || !workflowEngine) throw new Error("PlannerAgent: missing required components (taskManager/workflowEngine)");
+      const task = taskManager.getTask(taskId);
+      if (!task) throw new Error(`Task not found: ${taskId}`);
+      const mainId = task.parent && task.meta && task.meta.tool ? task.parent : task.id;
+      const entry = background.get(mainId);
+      if (entry) entry.controller.abort(reason);
+      // runs waited on by a request, or resumed after a restart, are only known to the workflow engine
+      const cancelled = workflowEngine.cancel(mainId, reason) || !!entry;
+      return { taskId: mainId, cancelled };
+    },
+
+    /**
+     * cancelAll aborts every run that was not waited for and resolves once they have settled
+     * (used at shutdown)
+     */
+    async cancelAll(reason = "cancelled") {
+      const entries = [...background.values()];
+      for (const e of entries) e.controller.abort(reason);
+      await Promise.allSettled(entries.map((e) => e.run));
     },
   };
 }
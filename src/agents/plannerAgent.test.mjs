@@ -0,0 +1,186 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import EventBus from "../system/eventBus.mjs";
+import TaskManager from "../system/taskManager.mjs";
+import WorkflowEngine from "../system/workflowEngine.mjs";
+import createPlannerAgent from "./plannerAgent.mjs";
+
+// a planner whose "LLM" always answers with plan, and a ToolRunner that calls the handler directly
+function setup(plan) {
+  const eventBus = new EventBus();
+  const taskManager = new TaskManager({ eventBus });
+  const workflowEngine = new WorkflowEngine({ taskManager, eventBus });
+  const toolRunner = { call: async (handlers, toolName, args, context, opts) => handlers[toolName](args, context, opts) };
+  const ollamaTool = { handler: async () => ({ text: JSON.stringify(plan) }) };
+  const planner = createPlannerAgent({ ollamaTool, workflowEngine, toolRunner, taskManager, eventBus });
+  return { planner, taskManager };
+}
+
+function validationError() {
+  const err = new Error("invalid");
+  err.name = "ToolValidationError";
+  return err;
+}
+
+test("retry re-runs only the forEach items that did not complete", async () => {
+  const { planner, taskManager } = setup([{ id: "each", tool: "touch", args: { file: "${item}" }, forEach: ["a", "b", "c"] }]);
+  const calls = [];
+  let failB = true;
+  const touch = async ({ file }) => {
+    calls.push(file);
+    if (file === "b" && failB) throw validationError();
+    return { touched: file };
+  };
+  const context = { toolHandlers: { touch } };
+
+  const first = await planner.planAndExecute("touch files", context, { wait: true });
+  assert.equal(first.status, "failed");
+  assert.deepEqual(calls, ["a", "b"]);
+
+  failB = false;
+  const retried = await planner.retry(first.taskId, context, { wait: true });
+  assert.equal(retried.status, "completed");
+  assert.deepEqual(calls, ["a", "b", "b", "c"]);
+  const step = taskManager.getTask(retried.retriedSteps[0].id);
+  assert.deepEqual(step.result, [{ touched: "a" }, { touched: "b" }, { touched: "c" }]);
+});
+
+test("the engine's own retries skip forEach items that completed", async () => {
+  const { planner } = setup([{ id: "each", tool: "touch", args: { file: "${item}" }, forEach: ["a", "b"] }]);
+  const calls = [];
+  const touch = async ({ file }) => {
+    calls.push(file);
+    if (file === "b" && calls.filter((f) => f === "b").length === 1) throw new Error("flaky");
+    return file;
+  };
+  const res = await planner.planAndExecute("touch files", { toolHandlers: { touch } }, { wait: true });
+  assert.equal(res.status, "completed");
+  assert.deepEqual(calls, ["a", "b", "b"]);
+});
+
+test("retried steps still read the results of steps that completed before", async () => {
+  const { planner } = setup([
+    { id: "scan", tool: "scan", args: {} },
+    { id: "use", tool: "use", args: { count: "${steps.scan.result.count}" } },
+  ]);
+  let fail = true;
+  const seen = [];
+  const context = {
+    toolHandlers: {
+      scan: async () => ({ count: 2 }),
+      use: async ({ count }) => { seen.push(count); if (fail) throw validationError(); return count; },
+    },
+  };
+  const first = await planner.planAndExecute("scan and use", context, { wait: true });
+  assert.equal(first.status, "partially_failed");
+  fail = false;
+  const retried = await planner.retry(first.taskId, context, { wait: true });
+  assert.equal(retried.status, "completed");
+  assert.deepEqual(seen, [2, 2]);
+});
+
+test("planAndExecute returns the task id right away unless wait is true", async () => {
+  const { planner, taskManager } = setup([{ id: "slow", tool: "slow", args: {} }]);
+  let finish;
+  const gate = new Promise((resolve) => { finish = resolve; });
+  const context = { toolHandlers: { slow: async () => { await gate; return "done"; } } };
+
+  const res = await planner.planAndExecute("slow plan", context);
+  assert.equal(res.status, "running");
+  assert.equal(res.scheduledSteps.length, 1);
+  assert.equal(taskManager.getTask(res.taskId).status, "pending");
+
+  const settled = new Promise((resolve) => taskManager.eventBus.once("planner.plan.finished", resolve));
+  finish();
+  assert.equal((await settled).status, "completed");
+});
+
+test("a patch containing template literals reaches the tool unchanged", async () => {
+  const patch = "const s = `hi ${name}`;\nconst t = `${a + b}`;";
+  const { planner } = setup([{ id: "patch", tool: "code_patch", args: { patch } }]);
+  const seen = [];
+  const res = await planner.planAndExecute("patch", { toolHandlers: { code_patch: async (args) => { seen.push(args.patch); return {}; } } }, { wait: true });
+  assert.equal(res.status, "completed");
+  assert.deepEqual(seen, [patch]);
+});
+
+test("an approved plan only runs in the project root it was previewed for", async () => {
+  const { planner } = setup([{ id: "patch", tool: "code_patch", args: { file: "a.js" } }]);
+  const calls = [];
+  const toolHandlers = { code_patch: async (args, context) => { calls.push(context.projectRoot); return {}; } };
+  const { planId } = await planner.previewPlan("patch", { projectRoot: "/work/a", toolHandlers });
+
+  await assert.rejects(planner.executePlan(planId, { projectRoot: "/work/b", toolHandlers }, { approve: true, wait: true }), /previewed for \/work\/a/);
+  assert.deepEqual(calls, []);
+
+  const res = await planner.executePlan(planId, { projectRoot: "/work/a", toolHandlers }, { approve: true, wait: true });
+  assert.equal(res.status, "completed");
+  assert.deepEqual(calls, ["/work/a"]);
+});
+
+test("retry returns once the steps are scheduled unless wait is true", async () => {
+  const { planner, taskManager } = setup([{ id: "slow", tool: "slow", args: {} }]);
+  let fail = true;
+  let finish;
+  const context = {
+    toolHandlers: {
+      slow: async () => {
+        if (fail) throw validationError();
+        await new Promise((r) => { finish = r; });
+        return "done";
+      },
+    },
+  };
+  const first = await planner.planAndExecute("slow", context, { wait: true });
+  assert.equal(first.status, "failed");
+  fail = false;
+
+  const res = await planner.retry(first.taskId, context);
+  assert.equal(res.status, "running");
+  assert.equal(res.retriedSteps[0].status, "pending");
+  while (!finish) await new Promise((r) => setImmediate(r));
+  finish();
+  while (taskManager.getTask(first.taskId).status !== "completed") await new Promise((r) => setImmediate(r));
+});
+
+// a tool that runs until its signal aborts
+function untilAborted() {
+  let started;
+  const running = new Promise((r) => { started = r; });
+  const state = { aborted: false };
+  const handler = (args, context, { signal }) => new Promise((resolve, reject) => {
+    started();
+    signal.addEventListener("abort", () => {
+      state.aborted = true;
+      reject(Object.assign(new Error("aborted"), { name: "AbortError" }));
+    });
+  });
+  return { handler, running, state };
+}
+
+test("a run that is not waited for outlives its request and stops on cancel", async () => {
+  const { planner, taskManager } = setup([{ id: "slow", tool: "slow", args: {} }]);
+  const { handler, running, state } = untilAborted();
+  const request = new AbortController();
+  const res = await planner.planAndExecute("slow", { toolHandlers: { slow: handler } }, { signal: request.signal });
+  await running;
+  request.abort();
+  await new Promise((r) => setImmediate(r));
+  assert.equal(state.aborted, false);
+
+  const finished = new Promise((resolve) => taskManager.eventBus.once("task.cancelled", resolve));
+  assert.deepEqual(await planner.cancel(res.scheduledSteps[0]), { taskId: res.taskId, cancelled: true });
+  await finished;
+  while (taskManager.getTask(res.taskId).status !== "cancelled") await new Promise((r) => setImmediate(r));
+  assert.equal(taskManager.getTask(res.scheduledSteps[0]).status, "cancelled");
+  assert.deepEqual(await planner.cancel(res.taskId), { taskId: res.taskId, cancelled: false });
+});
+
+test("cancelAll cancels the runs that were not waited for", async () => {
+  const { planner, taskManager } = setup([{ id: "slow", tool: "slow", args: {} }]);
+  const { handler, running } = untilAborted();
+  const res = await planner.planAndExecute("slow", { toolHandlers: { slow: handler } });
+  await running;
+  await planner.cancelAll("shutting down");
+  assert.equal(taskManager.getTask(res.taskId).status, "cancelled");
+});
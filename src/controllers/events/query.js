@@ -0,0 +1,21 @@
+/**
+ * @param {{since?:string|number, until?:string, pattern?:string|string[], limit?:number}} args
+ * @param {{system?:{eventBus?:any}}} context
+ */
+export async function queryEvents(args, context) {
+  const eventBus = context?.system?.eventBus;
+  if (!eventBus || typeof eventBus.replay !== "function") throw new Error("EventBus not available");
+
+  // since: an event id (e.g. a previous nextCursor) or an ISO timestamp
+  const since = args.since === undefined || args.since === null || args.since === ""
+    ? null
+    : /^\d+$/.test(String(args.since)) ? Number(args.since) : String(args.since);
+  const limit = Math.max(1, Math.min(args.limit || 100, 1000));
+
+  const events = [];
+  for await (const evt of eventBus.replay(since, args.pattern || null, { until: args.until || null, limit })) {
+    events.push(evt);
+  }
+  const nextCursor = events.length === limit ? events[events.length - 1].id : null;
+  return { events, nextCursor };
+}
@@ -0,0 +1,15 @@
+/**
+ * @param {{status?:string, limit?:number}} args
+ * @param {{system?:{jobQueue?:any, jobWorker?:any}}} context
+ */
+export async function listJobs(args, context) {
+  const jobQueue = context?.system?.jobQueue;
+  if (!jobQueue || typeof jobQueue.list !== "function") throw new Error("Job queue not available");
+  // finished jobs are removed from the queue; their job.completed / job.failed events stay in events_query
+  const jobs = await jobQueue.list({ status: args.status || null, limit: Math.max(1, Math.min(args.limit || 50, 500)) });
+  return {
+    stats: await jobQueue.stats(),
+    types: context?.system?.jobWorker?.types() || [],
+    jobs: jobs.map(({ payload, ...job }) => ({ ...job, type: payload?.type ?? null, projectRoot: payload?.projectRoot ?? null })),
+  };
+}
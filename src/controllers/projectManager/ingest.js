@@ -4,16 +4,48 @@ import fileUtils from "../../utils/fileUtils.js";
 
 /**
  * @param {{projectRoot?:string, scanned?:any[]}} args
- * @param {{projectRoot?:string}} context
+ * @param {{projectRoot?:string, system?:{eventBus?:any}}} context
+ * @param {{onProgress?:(p:{progress?:number,total?:number,message?:string})=>void, signal?:AbortSignal}} [options]
  */
-export async function ingestProject(args, context) {
+export async function ingestProject(args, context, { onProgress, signal } = {}) {
   const root = fileUtils.resolveProjectRoot(args.projectRoot || context?.projectRoot || process.cwd());
 
   // Option: caller can pass pre-scanned `scanned` (to avoid re-scan)
   const scanned = Array.isArray(args.scanned) ? args.scanned : await projectScanner.scanProject(root);
 
-  const store = await semanticStore.ingestScannedFiles(root, scanned);
+  const store = await semanticStore.ingestScannedFiles(root, scanned, { onProgress, signal });
   // chunkFiles is number of file keys
   const chunkedFiles = Object.keys(store || {}).length;
+  await context?.system?.eventBus?.emitPersisted("project.ingested", { projectRoot: root, chunkedFiles });
   return { projectRoot: root, chunkedFiles };
 }
+
+/**
+ * queueIngest - ingestProject, as a durable background job on context.system.jobWorker when
+ * args.queue is true (only the root is stored with the job, so it rescans the project).
+ * A queued call still waits for the job by default: progress is passed back and cancelling the
+ * call cancels the job. With wait: false it resolves { projectRoot, jobId, status: "queued" } at once.
+ * @param {{projectRoot?:string, scanned?:any[], queue?:boolean, wait?:boolean}} args
+ * @param {{projectRoot?:string, system?:{eventBus?:any, jobWorker?:any}}} context
+ * @param {{onProgress?:(p:{progress?:number,total?:number,message?:string})=>void, signal?:AbortSignal}} [options]
+ */
+export async function queueIngest(args, context, { onProgress, signal } = {}) {
+  const { queue, wait, ...ingestArgs } = args;
+  const jobWorker = context?.system?.jobWorker;
+  if (queue !== true) return ingestProject(ingestArgs, context, { onProgress, signal });
+  if (!jobWorker) throw new Error("Job queue not available");
+  if (Array.isArray(ingestArgs.scanned)) throw new Error("scanned cannot be queued; the job scans the project itself");
+
+  const root = fileUtils.resolveProjectRoot(ingestArgs.projectRoot || context?.projectRoot || process.cwd());
+  const jobId = await jobWorker.enqueue("ingest_project", { projectRoot: root }, { projectRoot: root });
+  if (wait === false) return { projectRoot: root, jobId, status: "queued" };
+
+  const cancel = () => { jobWorker.cancel(jobId).catch(() => {}); };
+  if (signal?.aborted) cancel();
+  signal?.addEventListener("abort", cancel, { once: true });
+  try {
+    return { ...(await jobWorker.wait(jobId, { signal, onProgress })), jobId, status: "completed" };
+  } finally {
+    signal?.removeEventListener("abort", cancel);
+  }
+}
@@ -3,7 +3,7 @@ import fileUtils from "../../utils/fileUtils.js";
 
 /**
  * @param {{projectRoot?:string, relativePath:string}} args
- * @param {{projectRoot?:string}} context
+ * @param {{projectRoot?:string, system?:{eventBus?:any}}} context
  */
 export async function removeFile(args, context) {
   const root = fileUtils.resolveProjectRoot(args.projectRoot || context?.projectRoot || process.cwd());
@@ -11,5 +11,6 @@ export async function removeFile(args, context) {
     throw new Error("relativePath required");
   }
   await semanticStore.removeFileFromStore(root, args.relativePath);
+  await context?.system?.eventBus?.emitPersisted("file.removed", { projectRoot: root, relativePath: args.relativePath });
   return { removed: args.relativePath };
 }
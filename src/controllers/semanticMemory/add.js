@@ -6,7 +6,7 @@ import path from "path";
 
 /**
  * @param {{projectRoot?:string, text:string, tags?:string[]}} args
- * @param {{projectRoot?:string}} context
+ * @param {{projectRoot?:string, system?:{eventBus?:any}}} context
  */
 export async function addMemory(args, context) {
   const root = fileUtils.resolveProjectRoot(args.projectRoot || context?.projectRoot || process.cwd());
@@ -27,6 +27,7 @@ export async function addMemory(args, context) {
   store[id] = { id, text: args.text, tags: args.tags || [], createdAt: Date.now(), embedding };
   await fs.mkdir(path.dirname(memoryStorePath), { recursive: true });
   await fs.writeFile(memoryStorePath, JSON.stringify(store, null, 2));
+  await context?.system?.eventBus?.emitPersisted("semantic_memory.added", { projectRoot: root, id });
 
   return { id, saved: true };
 }
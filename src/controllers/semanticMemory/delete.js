@@ -4,7 +4,7 @@ import fs from "fs/promises";
 
 /**
  * @param {{projectRoot?:string, id:string}} args
- * @param {{projectRoot?:string}} context
+ * @param {{projectRoot?:string, system?:{eventBus?:any}}} context
  */
 export async function deleteMemory(args, context) {
   if (!args.id) throw new Error("id required");
@@ -17,6 +17,7 @@ export async function deleteMemory(args, context) {
     if (!store[args.id]) return { removed: false, reason: "not found" };
     delete store[args.id];
     await fs.writeFile(memoryStorePath, JSON.stringify(store, null, 2));
+    await context?.system?.eventBus?.emitPersisted("semantic_memory.deleted", { projectRoot: root, id: args.id });
     return { removed: true, id: args.id };
   } catch (err) {
     return { removed: false, reason: err.message };
@@ -0,0 +1,10 @@
+/**
+ * @param {{taskId:string, reason?:string}} args
+ * @param {{agents?:{plannerAgent?:any}}} context
+ */
+export async function cancelTask(args, context) {
+  if (!args.taskId) throw new Error("taskId required");
+  const planner = context?.agents?.plannerAgent;
+  if (!planner || typeof planner.cancel !== "function") throw new Error("Planner agent not available");
+  return planner.cancel(args.taskId, args.reason || "cancelled by task_cancel");
+}
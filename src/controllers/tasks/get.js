@@ -0,0 +1,19 @@
+import { getTaskManager, taskView } from "./taskView.js";
+
+/**
+ * @param {{taskId:string}} args
+ * @param {{system?:{taskManager?:any}}} context
+ */
+export async function getTask(args, context) {
+  if (!args.taskId) throw new Error("taskId required");
+  const taskManager = getTaskManager(context);
+
+  // TaskManager loads every stored task from the server DB at startup, so it knows older ones too
+  const task = taskManager.getTask(args.taskId);
+  if (!task) throw new Error(`Task not found: ${args.taskId}`);
+
+  const children = taskManager.listTasks()
+    .filter((t) => t.parent === task.id)
+    .map((t) => ({ id: t.id, title: t.title, status: t.status }));
+  return { task: taskView(task), children };
+}
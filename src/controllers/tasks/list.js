@@ -0,0 +1,22 @@
+import { getTaskManager, taskView } from "./taskView.js";
+
+/**
+ * @param {{status?:string|string[], parent?:string, title?:string, limit?:number}} args
+ * @param {{system?:{taskManager?:any}}} context
+ */
+export async function listTasks(args, context) {
+  const taskManager = getTaskManager(context);
+  const statuses = args.status ? [].concat(args.status) : null;
+  const title = args.title ? String(args.title).toLowerCase() : null;
+
+  let tasks = taskManager.listTasks();
+  if (statuses) tasks = tasks.filter((t) => statuses.includes(t.status));
+  // parent: a task id, or "none" for top-level tasks only
+  if (args.parent === "none") tasks = tasks.filter((t) => !t.parent);
+  else if (args.parent) tasks = tasks.filter((t) => t.parent === args.parent);
+  if (title) tasks = tasks.filter((t) => String(t.title || "").toLowerCase().includes(title));
+
+  tasks.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  const total = tasks.length;
+  return { total, tasks: tasks.slice(0, args.limit || 50).map(taskView) };
+}
@@ -0,0 +1,11 @@
+/**
+ * @param {{taskId:string, wait?:boolean}} args
+ * @param {{agents?:{plannerAgent?:any}}} context
+ * @param {{signal?:AbortSignal}} [options]
+ */
+export async function retryTask(args, context, { signal } = {}) {
+  if (!args.taskId) throw new Error("taskId required");
+  const planner = context?.agents?.plannerAgent;
+  if (!planner || typeof planner.retry !== "function") throw new Error("Planner agent not available");
+  return planner.retry(args.taskId, context, { signal, wait: args.wait === true });
+}
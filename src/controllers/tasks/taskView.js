@@ -0,0 +1,46 @@
+const TERMINAL = ["completed", "failed", "partially_failed", "cancelled", "interrupted", "skipped"];
+
+function ms(from, to) {
+  if (!from || !to) return null;
+  const d = Date.parse(to) - Date.parse(from);
+  return Number.isFinite(d) ? d : null;
+}
+
+/**
+ * @param {{system?:{taskManager?:any}}} context
+ */
+export function getTaskManager(context) {
+  const taskManager = context?.system?.taskManager;
+  if (!taskManager) throw new Error("TaskManager not available");
+  return taskManager;
+}
+
+/**
+ * taskView - task record with per-step and overall timings
+ * @param {any} task
+ */
+export function taskView(task) {
+  const steps = (task.steps || []).map((s) => ({
+    ...s,
+    durationMs: ms(s.startedAt, s.finishedAt),
+  }));
+  const started = steps.map((s) => s.startedAt).filter(Boolean).sort()[0] || null;
+  const finishedAt = TERMINAL.includes(task.status) ? task.updatedAt : null;
+  return {
+    id: task.id,
+    parent: task.parent || null,
+    title: task.title,
+    status: task.status,
+    meta: task.meta || {},
+    result: task.result ?? null,
+    error: task.error || null,
+    steps,
+    timings: {
+      createdAt: task.createdAt,
+      startedAt: started,
+      finishedAt,
+      updatedAt: task.updatedAt,
+      durationMs: ms(task.createdAt, finishedAt),
+    },
+  };
+}
@@ -0,0 +1,33 @@
+import { getTaskManager, taskView } from "./taskView.js";
+
+/**
+ * @param {{taskId:string, maxDepth?:number}} args
+ * @param {{system?:{taskManager?:any}}} context
+ */
+export async function taskTree(args, context) {
+  if (!args.taskId) throw new Error("taskId required");
+  const taskManager = getTaskManager(context);
+  const root = taskManager.getTask(args.taskId);
+  if (!root) throw new Error(`Task not found: ${args.taskId}`);
+
+  const byParent = new Map();
+  for (const t of taskManager.listTasks()) {
+    if (!t.parent) continue;
+    if (!byParent.has(t.parent)) byParent.set(t.parent, []);
+    byParent.get(t.parent).push(t);
+  }
+
+  const maxDepth = args.maxDepth || 10;
+  const seen = new Set();
+  const build = (task, depth) => {
+    seen.add(task.id);
+    const kids = (byParent.get(task.id) || [])
+      .filter((c) => !seen.has(c.id))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    return {
+      ...taskView(task),
+      children: depth < maxDepth ? kids.map((c) => build(c, depth + 1)) : [],
+    };
+  };
+  return { tree: build(root, 0) };
+}
@@ -14,7 +14,6 @@
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import fs from "fs/promises";
 import fsSync from "fs";
 import path from "path";
 import { createWriteStream } from "fs";
@@ -24,7 +23,12 @@ import { dirname } from "path";
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  RootsListChangedNotificationSchema,
+  UnsubscribeRequestSchema,
   ListPromptsRequestSchema,
   GetPromptRequestSchema,
   McpError,
@@ -33,15 +37,29 @@ import {
 
 // tools
 import ollamaTool from "./tools/ollamaTool.js";
+// background job handlers (run by the job worker)
+import { ingestProject } from "./controllers/projectManager/ingest.js";
 
 // system modules (assume present under src/system)
 import EventBus from "./system/eventBus.mjs";
+import createEventSinks from "./system/eventSinks.mjs";
 import TaskManager from "./system/taskManager.mjs";
 import WorkflowEngine from "./system/workflowEngine.mjs";
-import { InMemoryQueue } from "./system/taskQueue.mjs";
+import { InMemoryQueue, SqliteQueue } from "./system/taskQueue.mjs";
+import createJobWorker from "./system/jobWorker.mjs";
 import ToolRunner from "./system/toolRunner.mjs";
-import createValidator from "./system/validator.mjs";
+import createResultCache from "./system/resultCache.mjs";
+import createValidator, { isToolValidationError } from "./system/validator.mjs";
+import createPolicyEngine, { isPolicyDeniedError } from "./system/policyEngine.mjs";
 import createRectifier from "./system/rectifier.mjs";
+import createResourceProvider from "./system/resourceProvider.mjs";
+import ResourceSubscriptions from "./system/resourceSubscriptions.mjs";
+import { startHttpTransport } from "./system/httpTransport.mjs";
+import WorkspaceManager from "./system/workspaceManager.mjs";
+import ToolLoader from "./system/toolLoader.mjs";
+import PluginLoader from "./system/pluginLoader.mjs";
+import createPromptLibrary from "./system/promptLibrary.mjs";
+import createToolOutput from "./system/toolOutput.mjs";
 
 // agents
 import createPlannerAgent from "./agents/plannerAgent.mjs";
@@ -50,10 +68,15 @@ import createRectifierAgent from "./agents/rectifierAgent.mjs";
 
 // storage (exact function names are used)
 import { openDb } from "./storage/kryonexDb.js";
+import { loadKryonexGeneralConfig } from "./models/kryonexStorage.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
-const PROJECT_ROOT = path.resolve(__dirname, "..");
+// SERVER_ROOT holds server-wide state (tasks, events, transport config); PROJECT_ROOT is the
+// workspace used when the client does not report roots (roots/list): KRYONEX_PROJECT_ROOT, else
+// SERVER_ROOT and its DB, so nothing is written to the directory the host started the server in.
+const SERVER_ROOT = path.resolve(__dirname, "..");
+const PROJECT_ROOT = process.env.KRYONEX_PROJECT_ROOT ? path.resolve(process.env.KRYONEX_PROJECT_ROOT) : SERVER_ROOT;
 
 // --- logging (stderr + server.log) ---
 const LOG_PATH = path.join(__dirname, "server.log");
@@ -74,52 +97,33 @@ const warn = (m: string, ...a: any[]) => writeLog("WARN", m, ...a);
 const errorLog = (m: string, ...a: any[]) => writeLog("ERROR", m, ...a);
 
 // ensure .kryonex exists
-const KRYONEX_DIR = path.join(PROJECT_ROOT, ".kryonex");
+const KRYONEX_DIR = path.join(SERVER_ROOT, ".kryonex");
 if (!fsSync.existsSync(KRYONEX_DIR)) fsSync.mkdirSync(KRYONEX_DIR, { recursive: true });
 
 // --- open DB ---
 log("Opening Kryonex DB...");
 let kryonexDb: any;
 try {
-  kryonexDb = await openDb(path.join(PROJECT_ROOT, ".kryonex", "db.sqlite"));
+  kryonexDb = await openDb(path.join(SERVER_ROOT, ".kryonex", "db.sqlite"));
   log("DB opened successfully");
 } catch (e) {
   errorLog("Failed to open DB:", e instanceof Error ? e.message : String(e));
   process.exit(1);
 }
 
+// --- server-wide settings (<SERVER_ROOT>/.kryonex/config.json) ---
+let serverConfig: any = {};
+try {
+  serverConfig = await loadKryonexGeneralConfig(SERVER_ROOT);
+} catch (e) {
+  warn("Failed to read server config:", e instanceof Error ? e.message : String(e));
+}
+
 // --- dynamic tool loader ---
 export const toolHandlers: Record<string, any> = {};
 
-async function loadTools() {
-  const toolsDir = path.join(__dirname, "tools");
-  log("Loading tools from", toolsDir);
-  try {
-    const entries = await fs.readdir(toolsDir);
-    for (const f of entries) {
-      if (!f.endsWith(".js")) continue;
-      try {
-        const mod = await import(`./tools/${f}`);
-        const def = mod.default || mod;
-        if (!def || !def.name || typeof def.handler !== "function") {
-          warn(`Tool ./tools/${f} missing proper export { name, handler }`);
-          continue;
-        }
-        toolHandlers[def.name] = def.handler;
-        def.handler.description = def.description || def.handler.description || "";
-        def.handler.schema = def.schema || def.handler.schema || { type: "object" };
-        log(`Loaded tool ${def.name}`);
-      } catch (err) {
-        const msg = err instanceof Error ? err.message : String(err);
-        warn(`Failed to import tool ${f}: ${msg}`);
-      }
-    }
-  } catch (err) {
-    warn("tools directory read failed:", err instanceof Error ? err.message : String(err));
-  }
-}
-
-await loadTools();
+const toolLoader = new ToolLoader({ toolsDir: path.join(__dirname, "tools"), toolHandlers, log, warn });
+await toolLoader.loadAll();
 
 // ensure ollama tool registered if available
 try {
@@ -129,8 +133,27 @@ try {
   }
 } catch (e) { warn("ollama registration failed:", e instanceof Error ? e.message : String(e)); }
 
+// --- plugins (src/plugins + <project>/.kryonex/plugins); tools above win on name conflicts ---
+// disable one with "plugins": { "<name>": { "enabled": false } }; project plugins are opt-in
+// ("projectPlugins": true or a list of roots) and only visible to sessions working on their root
+const pluginLoader = new PluginLoader({ toolHandlers, config: serverConfig.plugins || {}, projectPlugins: serverConfig.projectPlugins ?? false, log, warn });
+await pluginLoader.loadDir(path.join(__dirname, "plugins"));
+await pluginLoader.loadProject(PROJECT_ROOT);
+
 // --- instantiate system services ---
 const eventBus = new EventBus({ db: kryonexDb, semanticStore: null });
+// forward events to outside tooling ("eventSinks": [{ "type": "file" | "webhook" | "socket", ... }])
+const eventSinks = createEventSinks({ eventBus, sinks: serverConfig.eventSinks || [], baseDir: SERVER_ROOT, warn });
+if (eventSinks.list().length) log(`Event sinks: ${eventSinks.list().join(", ")}`);
+// stored events are kept (task history and replay read them) unless pruning is configured:
+// "events": { "retention": { "maxAgeDays": 30, "maxCount": 100000 } }
+const eventRetention = serverConfig.events?.retention;
+if (eventRetention && (eventRetention.maxAgeDays || eventRetention.maxCount)) {
+  eventBus.startRetention({
+    maxAgeMs: eventRetention.maxAgeDays ? eventRetention.maxAgeDays * 24 * 60 * 60 * 1000 : null,
+    maxCount: eventRetention.maxCount || null,
+  });
+}
 const taskManager = new TaskManager({ db: kryonexDb, eventBus });
 
 try {
@@ -142,17 +165,48 @@ try {
 
 const workflow = new WorkflowEngine({ taskManager, eventBus, db: kryonexDb, concurrency: 4 });
 const taskQueue = new InMemoryQueue();
+// durable queue for background jobs (ingestion, indexing) that must survive restarts;
+// "jobQueue": { "visibilityTimeoutMs", "maxAttempts", "backoffMs", "pollMs", "concurrency" } in config
+const jobQueue = new SqliteQueue(kryonexDb, "kryonex:jobs", serverConfig.jobQueue || {});
+// ingest_project enqueues here; the worker starts once the server is set up
+const jobWorker = createJobWorker({
+  jobQueue,
+  eventBus,
+  handlers: { ingest_project: ingestProject },
+  contextFor: (job: any) => rootContext(job.projectRoot || PROJECT_ROOT),
+  concurrency: serverConfig.jobQueue?.concurrency || 1,
+});
+
+// allow / deny / confirm rules from .kryonex/policy.yaml (server root, then project root)
+const policyEngine = createPolicyEngine({ baseDir: SERVER_ROOT, eventBus, warn });
+
+// tool args are checked against each tool's JSON schema and the policy; "validator": { "llmCheck": true } also asks Ollama
+const validator = createValidator({ ollamaTool, llmCheck: serverConfig.validator?.llmCheck === true, policy: policyEngine });
+// schema-driven repairs first; "rectifier": { "llmFallback": false } stops it from asking Ollama
+const rectifier = createRectifier({ ollamaTool, validator, llmFallback: serverConfig.rectifier?.llmFallback !== false });
+
+// read-only mode refuses every tool not annotated readOnlyHint: true
+// ("readOnly": true in config, --read-only, or KRYONEX_READ_ONLY=1)
+const readOnly = serverConfig.readOnly === true || parseCliFlags(process.argv.slice(2))["read-only"] === true || process.env.KRYONEX_READ_ONLY === "1";
+if (readOnly) log("Read-only mode: tools without readOnlyHint are refused");
 
-const validator = createValidator({ ollamaTool });
-const rectifier = createRectifier({ ollamaTool });
+// opt-in result cache for read-only tools ("toolCache": { "ttlMs", "tools": { "<tool>": { "ttlMs" } }, "invalidateOn" })
+const resultCache = serverConfig.toolCache && serverConfig.toolCache.enabled !== false ? createResultCache({ eventBus, ...serverConfig.toolCache }) : null;
 
-const toolRunner = new ToolRunner({ taskManager, eventBus, db: kryonexDb, semanticStore: null, validator, rectifier });
+// per-tool timeouts and concurrency / rate limits ("toolLimits": { "default": {...}, "<tool>": {...} })
+const toolRunner = new ToolRunner({ taskManager, eventBus, db: kryonexDb, semanticStore: null, validator, rectifier, readOnly, limits: serverConfig.toolLimits || {}, cache: resultCache });
 
 // agents
-const plannerAgent = createPlannerAgent({ ollamaTool, workflowEngine: workflow, toolRunner, taskManager, eventBus });
+// previewed plans can be approved for "planner": { "previewTtlMs" } (default 15 minutes)
+const plannerAgent = createPlannerAgent({ ollamaTool, workflowEngine: workflow, toolRunner, taskManager, eventBus, previewTtlMs: serverConfig.planner?.previewTtlMs });
 const investigatorAgent = createInvestigatorAgent({ toolRunner, taskManager, eventBus });
 const rectifierAgent = createRectifierAgent({ rectifier });
 
+const resourceProvider = createResourceProvider({ taskManager });
+const workspaces = new WorkspaceManager({ openDb, seed: { [SERVER_ROOT]: kryonexDb } });
+const promptLibrary = createPromptLibrary();
+const toolOutput = createToolOutput();
+
 // expose global (ensure src/types/global.d.ts declares these)
 global.__KRYONEX_EVENTBUS = eventBus;
 global.__KRYONEX_TASKQUEUE = taskQueue;
@@ -161,105 +215,384 @@ global.__KRYONEX_TOOLRUNNER = toolRunner;
 global.__KRYONEX_DB = kryonexDb;
 global.__KRYONEX_AGENTS = { plannerAgent, investigatorAgent, rectifierAgent };
 
+// tool/agent context for one workspace root; sessions add their id and roots on top
+async function rootContext(root: string) {
+  const { db } = await workspaces.get(root);
+  return {
+    projectRoot: root,
+    workspaceFolder: root,
+    serverRoot: __dirname,
+    sessionId: null as string | null,
+    roots: [] as string[],
+    db,
+    toolHandlers: pluginLoader.toolsFor([root]),
+    system: { eventBus, workflow, taskQueue, jobQueue, jobWorker, toolRunner, taskManager },
+    agents: global.__KRYONEX_AGENTS,
+  };
+}
+
+// resume planner steps cut short by a restart ("workflows": { "resume": false } marks them interrupted)
+try {
+  const { resumed, interrupted } = await workflow.loadFromDb({
+    resume: serverConfig.workflows?.resume !== false,
+    buildFn: async (node: any, task: any) => plannerAgent.resumeStep(node, task, await rootContext(node.projectRoot || PROJECT_ROOT)),
+    // settle the plan's main task once its resumed (or interrupted) steps are done
+    onSettled: (rootTaskId: string) => plannerAgent.rollUp(rootTaskId),
+  });
+  if (resumed.length || interrupted.length) log(`Workflow nodes resumed: ${resumed.length}, interrupted: ${interrupted.length}`);
+} catch (e) {
+  warn("workflow.loadFromDb failed", e instanceof Error ? e.message : String(e));
+}
+
+// jobs left over from the last run are picked up again here
+jobWorker.start();
+
 // --- MCP server setup ---
-const server = new Server(
-  { name: "kryonex mcp", version: "0.1.0" },
-  {
-    capabilities: {
-      tools: { listChanged: true },
-      resources: { listChanged: true, subscribe: true },
-      prompts: { listChanged: true },
-    },
+// One Server per client session: stdio gets a single one, the HTTP transport creates one
+// per streamable-HTTP session. System services (DB, models, tasks) are shared.
+type Session = { id: string | null; transport: "stdio" | "http" };
+
+const activeServers = new Set<Server>();
+
+function createMcpServer(session: Session) {
+  const server = new Server(
+    { name: "kryonex mcp", version: "0.1.0" },
+    {
+      capabilities: {
+        tools: { listChanged: true },
+        resources: { listChanged: true, subscribe: true },
+        prompts: { listChanged: true },
+      },
+    }
+  );
+
+  // client workspace roots (roots/list); empty until the client reports them
+  let roots: string[] = [];
+
+  // shared tools plus the project plugins of this session's roots (the server's project until the client reports roots)
+  const sessionTools = () => pluginLoader.toolsFor(roots.length ? roots : [PROJECT_ROOT]);
+
+  async function refreshRoots() {
+    if (!server.getClientCapabilities()?.roots) return;
+    try {
+      const before = Object.keys(sessionTools()).join("\n");
+      const res = await server.listRoots();
+      roots = WorkspaceManager.rootsFromUris(res.roots);
+      await Promise.all(roots.map((r) => workspaces.get(r)));
+      log(`Workspace roots${session.id ? ` (session ${session.id})` : ""}:`, roots);
+      for (const r of roots) await pluginLoader.loadProject(r);
+      if (Object.keys(sessionTools()).join("\n") !== before) await server.sendToolListChanged().catch(() => {});
+    } catch (e) {
+      warn("roots/list failed:", e instanceof Error ? e.message : String(e));
+    }
   }
-);
 
-// minimal resource read stub (never print to stdout)
-server.setRequestHandler(ReadResourceRequestSchema, async (req) => {
-  throw new Error("Resource reading is not implemented");
-});
+  server.oninitialized = () => { refreshRoots(); };
+  server.setNotificationHandler(RootsListChangedNotificationSchema, async () => { await refreshRoots(); });
+
+  // picks the workspace root for a call (a root containing a path argument, else the first root)
+  async function buildContext(args: Record<string, any> = {}) {
+    const root = WorkspaceManager.pickRoot(roots, [args.projectRoot, args.workspaceRoot, args.root, args.startPath]) || PROJECT_ROOT;
+    return { ...(await rootContext(root)), toolHandlers: sessionTools(), sessionId: session.id, roots };
+  }
 
-// list tools (include agents)
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  const dynamic = Object.entries(toolHandlers).map(([name, handler]) => ({
-    name,
-    description: handler.description || "No description",
-    inputSchema: handler.schema || { type: "object" as const },
+  // resources (.kryonex artifacts under kryonex:// URIs)
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    try {
+      return { resources: await resourceProvider.listResources(await buildContext()) };
+    } catch (err) {
+      const m = err instanceof Error ? err.message : String(err);
+      throw new McpError(ErrorCode.InternalError, `Resource listing failed: ${m}`);
+    }
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: resourceProvider.listResourceTemplates(),
   }));
-  const agentTools = [
-    { name: "planner_agent", description: "Planner Agent", inputSchema: { type: "object" as const } },
-    { name: "investigator_agent", description: "Investigator Agent", inputSchema: { type: "object" as const } },
-  ];
-  return { tools: [...agentTools, ...dynamic] };
-});
 
-// CALL TOOL handler (smart mode)
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const context = {
-    projectRoot: PROJECT_ROOT,
-    workspaceFolder: PROJECT_ROOT,
-    serverRoot: __dirname,
-    db: kryonexDb,
-    toolHandlers,
-    system: { eventBus, workflow, taskQueue, toolRunner },
-    agents: global.__KRYONEX_AGENTS,
+  server.setRequestHandler(ReadResourceRequestSchema, async (req) => {
+    let res;
+    try {
+      res = await resourceProvider.readResource(req.params.uri, await buildContext());
+    } catch (err) {
+      const m = err instanceof Error ? err.message : String(err);
+      throw new McpError(ErrorCode.InternalError, `Resource read failed: ${m}`);
+    }
+    if (!res) throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${req.params.uri}`);
+    return res;
+  });
+
+  // resource subscriptions (task/tool events -> notifications/resources/updated)
+  const subscriptions = new ResourceSubscriptions({
+    eventBus,
+    notify: (uri: string) => server.sendResourceUpdated({ uri }),
+  });
+  subscriptions.attach();
+  activeServers.add(server);
+  server.onclose = () => {
+    subscriptions.detach();
+    activeServers.delete(server);
   };
 
-  // agent shortcuts
-  if (request.params.name === "planner_agent") {
+  server.setRequestHandler(SubscribeRequestSchema, async (req) => {
+    if (!req.params.uri.startsWith("kryonex://")) {
+      throw new McpError(ErrorCode.InvalidParams, `Cannot subscribe to ${req.params.uri}`);
+    }
+    subscriptions.subscribe(req.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (req) => {
+    subscriptions.unsubscribe(req.params.uri);
+    return {};
+  });
+
+  // list tools (include agents)
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    const dynamic = Object.entries(sessionTools()).map(([name, handler]) => ({
+      name,
+      description: handler.description || "No description",
+      inputSchema: handler.schema || { type: "object" as const },
+      ...(handler.outputSchema ? { outputSchema: handler.outputSchema } : {}),
+      ...(handler.annotations ? { annotations: handler.annotations } : {}),
+    }));
+    // agent tool calls go through toolRunner, so read-only mode still applies to their steps
+    const agentTools = [
+      {
+        name: "planner_agent",
+        description: "Planner Agent - plans and runs tool steps for an intent; mode \"preview\" only returns the validated plan and a planId for planner_execute",
+        inputSchema: {
+          type: "object" as const,
+          properties: {
+            intent: { type: "string" },
+            mode: { type: "string", enum: ["execute", "preview"] },
+            wait: { type: "boolean", description: "Wait for the steps and return the rolled-up result; by default the task id is returned right away" },
+            opts: { type: "object" },
+          },
+        },
+        annotations: { readOnlyHint: false, destructiveHint: true, openWorldHint: false },
+      },
+      {
+        name: "planner_execute",
+        description: "Run a plan previewed by planner_agent (mode \"preview\") once approved; approve false discards it. edits: [{ id, remove?, ...fields }]",
+        inputSchema: {
+          type: "object" as const,
+          properties: {
+            planId: { type: "string" },
+            approve: { type: "boolean" },
+            edits: { type: "array", items: { type: "object" } },
+            wait: { type: "boolean", description: "Wait for the steps and return the rolled-up result; by default the task id is returned right away" },
+          },
+          required: ["planId", "approve"],
+        },
+        annotations: { readOnlyHint: false, destructiveHint: true, openWorldHint: false },
+      },
+      { name: "investigator_agent", description: "Investigator Agent", inputSchema: { type: "object" as const }, annotations: { readOnlyHint: true, openWorldHint: false } },
+    ];
+    return { tools: [...agentTools, ...dynamic] };
+  });
+
+  // maps ToolRunner progress ({ progress?, total?, message? }) to notifications/progress;
+  // message-only updates advance the counter by one so progress stays increasing
+  function progressSink(progressToken: string | number | undefined, extra: any) {
+    if (progressToken === undefined) return undefined;
+    let last = 0;
+    return (p: { progress?: number; total?: number; message?: string } = {}) => {
+      const progress = typeof p.progress === "number" ? p.progress : last + 1;
+      if (progress <= last) return;
+      last = progress;
+      extra.sendNotification({
+        method: "notifications/progress",
+        params: {
+          progressToken,
+          progress,
+          ...(typeof p.total === "number" ? { total: p.total } : {}),
+          ...(p.message ? { message: p.message } : {}),
+        },
+      }).catch(() => {});
+    };
+  }
+
+  // asks the user to approve a tool call; false when the client does not support elicitation
+  async function confirmWithClient(message: string) {
+    if (!server.getClientCapabilities()?.elicitation) return false;
+    const res = await server.elicitInput({
+      message,
+      requestedSchema: {
+        type: "object",
+        properties: { approve: { type: "boolean", title: "Approve", description: "Run this tool call" } },
+        required: ["approve"],
+      },
+    });
+    return res.action === "accept" && res.content?.approve === true;
+  }
+
+  // CALL TOOL handler (smart mode)
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    // policy "confirm" rules ask the client through elicitation (plan steps keep this context)
+    let context: Record<string, any>;
     try {
-      const intent = request.params.arguments?.intent ?? request.params.arguments ?? "run plan";
-      const opts = request.params.arguments?.opts ?? {};
-      const res = await plannerAgent.planAndExecute(intent, context, opts);
-      return { content: [{ type: "text", text: JSON.stringify(res, null, 2) }] };
+      context = { ...(await buildContext(request.params.arguments ?? {})), confirm: confirmWithClient };
     } catch (err) {
+      // e.g. the workspace DB cannot be opened
       const m = err instanceof Error ? err.message : String(err);
-      throw new McpError(ErrorCode.InvalidParams, `Planner failed: ${m}`);
+      throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${m}`);
     }
-  }
+    const onProgress = progressSink(request.params._meta?.progressToken, extra);
+
+    // agent shortcuts
+    if (request.params.name === "planner_agent") {
+      try {
+        const intent = request.params.arguments?.intent ?? request.params.arguments ?? "run plan";
+        const opts: Record<string, any> = { ...((request.params.arguments?.opts as Record<string, any>) ?? {}), signal: extra.signal };
+        if (request.params.arguments?.mode) opts.mode = request.params.arguments.mode;
+        if (typeof request.params.arguments?.wait === "boolean") opts.wait = request.params.arguments.wait;
+        const res = await plannerAgent.planAndExecute(intent, context, opts);
+        return { content: [{ type: "text", text: JSON.stringify(res, null, 2) }] };
+      } catch (err) {
+        const m = err instanceof Error ? err.message : String(err);
+        throw new McpError(ErrorCode.InvalidParams, `Planner failed: ${m}`);
+      }
+    }
+
+    if (request.params.name === "planner_execute") {
+      try {
+        const args: Record<string, any> = request.params.arguments ?? {};
+        const res = await plannerAgent.executePlan(args.planId, context, { approve: args.approve, edits: args.edits ?? null, wait: args.wait === true, signal: extra.signal });
+        return { content: [{ type: "text", text: JSON.stringify(res, null, 2) }] };
+      } catch (err) {
+        const m = err instanceof Error ? err.message : String(err);
+        throw new McpError(ErrorCode.InvalidParams, `Planner failed: ${m}`);
+      }
+    }
+
+    if (request.params.name === "investigator_agent") {
+      try {
+        const payload = request.params.arguments ?? {};
+        const res = await investigatorAgent.analyzeFailure(payload, context, { signal: extra.signal });
+        return { content: [{ type: "text", text: JSON.stringify(res, null, 2) }] };
+      } catch (err) {
+        const m = err instanceof Error ? err.message : String(err);
+        throw new McpError(ErrorCode.InvalidParams, `Investigator failed: ${m}`);
+      }
+    }
+
+    // dynamic tool
+    const handler = context.toolHandlers[request.params.name];
+    if (!handler) throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${request.params.name}`);
+
+    // Smart Mode: validator + rectifier (ToolRunner already calls validator internally,
+    // but we implement an explicit flow to record rectification steps and log them)
+    let result: any;
+    try {
+      // First attempt via ToolRunner (ToolRunner will call validator and try rectifier internally if configured).
+      // We call toolRunner.call which has validator and rectifier integrated by design.
+      // extra.signal is aborted by the SDK when the client sends notifications/cancelled.
+      result = await toolRunner.call(context.toolHandlers, request.params.name, request.params.arguments ?? {}, context, { onProgress, signal: extra.signal });
+    } catch (err) {
+      // If ToolRunner throws because validator rejected and rectifier didn't fix, we return an MCP error.
+      const msg = err instanceof Error ? err.message : String(err);
+      // schema failures carry field-level errors for the client
+      if (isToolValidationError(err)) throw new McpError(ErrorCode.InvalidParams, msg, { errors: err.errors });
+      if (isPolicyDeniedError(err)) throw new McpError(ErrorCode.InvalidRequest, msg, { decision: err.decision });
+      // Provide additional guidance in payload (avoid printing to stdout)
+      throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${msg}`);
+    }
+
+    // structuredContent when the tool declares an outputSchema; JSON text block either way
+    return toolOutput.toCallToolResult(request.params.name, result, handler.outputSchema);
+  });
 
-  if (request.params.name === "investigator_agent") {
+  // prompts (project prompt library backed by RAG + semantic memory)
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: promptLibrary.listPrompts() }));
+  server.setRequestHandler(GetPromptRequestSchema, async (req) => {
+    if (!promptLibrary.has(req.params.name)) throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${req.params.name}`);
     try {
-      const payload = request.params.arguments ?? {};
-      const res = await investigatorAgent.analyzeFailure(payload, context);
-      return { content: [{ type: "text", text: JSON.stringify(res, null, 2) }] };
+      return await promptLibrary.getPrompt(req.params.name, req.params.arguments ?? {}, await buildContext());
     } catch (err) {
       const m = err instanceof Error ? err.message : String(err);
-      throw new McpError(ErrorCode.InvalidParams, `Investigator failed: ${m}`);
+      throw new McpError(ErrorCode.InvalidParams, `Prompt ${req.params.name} failed: ${m}`);
     }
-  }
+  });
 
-  // dynamic tool
-  const handler = toolHandlers[request.params.name];
-  if (!handler) throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${request.params.name}`);
+  return server;
+}
 
-  // Smart Mode: validator + rectifier (ToolRunner already calls validator internally,
-  // but we implement an explicit flow to record rectification steps and log them)
-  try {
-    // First attempt via ToolRunner (ToolRunner will call validator and try rectifier internally if configured).
-    // We call toolRunner.call which has validator and rectifier integrated by design.
-    const result = await toolRunner.call(toolHandlers, request.params.name, request.params.arguments ?? {}, context);
-    return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
-  } catch (err) {
-    // If ToolRunner throws because validator rejected and rectifier didn't fix, we return an MCP error.
-    const msg = err instanceof Error ? err.message : String(err);
-    // Provide additional guidance in payload (avoid printing to stdout)
-    throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${msg}`);
+// --- transport selection ---
+// CLI flags win over .kryonex/config.json { "transport": { "type": "http", "host", "port", "path" } }
+function parseCliFlags(argv: string[]) {
+  const flags: Record<string, string | boolean> = {};
+  for (const a of argv) {
+    if (!a.startsWith("--")) continue;
+    const [k, v] = a.slice(2).split("=", 2);
+    flags[k] = v === undefined ? true : v;
   }
-});
+  return flags;
+}
 
-// prompts
-server.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: [{ name: "summarize_notes", description: "Summarize notes" }] }));
-server.setRequestHandler(GetPromptRequestSchema, async (req) => {
-  if (req.params.name !== "summarize_notes") throw new Error("Unknown prompt");
-  return { messages: [{ role: "user", content: { type: "text", text: "No notes." } }] };
-});
+function resolveTransportConfig() {
+  const cfg = serverConfig.transport || {};
+  const flags = parseCliFlags(process.argv.slice(2));
+  let type = cfg.type === "http" ? "http" : "stdio";
+  if (flags.http) type = "http";
+  if (flags.stdio) type = "stdio";
+  if (typeof flags.transport === "string") type = flags.transport;
+  return {
+    type,
+    host: typeof flags.host === "string" ? flags.host : cfg.host || "127.0.0.1",
+    port: Number(typeof flags.port === "string" ? flags.port : cfg.port || 3939),
+    path: typeof flags.path === "string" ? flags.path : cfg.path || "/mcp",
+  };
+}
+
+async function notifyToolListChanged() {
+  for (const s of activeServers) await s.sendToolListChanged().catch(() => {});
+}
+
+// hot-reload src/tools (disable with "hotReloadTools": false)
+if (serverConfig.hotReloadTools !== false) {
+  toolLoader.watch(notifyToolListChanged);
+}
+
+// flush the event sinks and close the workspace DBs before exiting
+async function shutdown(closeTransport: () => Promise<unknown>) {
+  try { await closeTransport(); } catch (e) { warn("closing the transport failed", e instanceof Error ? e.message : String(e)); }
+  // planner runs that were not waited for are cancelled; task_retry re-runs their unfinished steps
+  try { await plannerAgent.cancelAll("server shutting down"); } catch (e) { warn("cancelling planner runs failed", e instanceof Error ? e.message : String(e)); }
+  // running jobs are aborted and go back to the queue
+  try { await jobWorker.stop(); } catch (e) { warn("stopping the job worker failed", e instanceof Error ? e.message : String(e)); }
+  try { await eventSinks.close(); } catch (e) { warn("closing the event sinks failed", e instanceof Error ? e.message : String(e)); }
+  try { await workspaces.closeAll(); } finally { process.exit(0); }
+}
 
 // start
 async function main() {
+  const transportConfig = resolveTransportConfig();
   try {
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
-    log("MCP server connected (stdio)");
+    if (transportConfig.type === "http") {
+      const { host, port, path: endpoint } = transportConfig;
+      const http = await startHttpTransport({
+        createServer: (session: Session) => createMcpServer(session),
+        host,
+        port,
+        path: endpoint,
+        log,
+      });
+      log(`MCP server listening (streamable HTTP) on http://${host}:${port}${endpoint}`);
+      const stop = () => shutdown(() => http.close());
+      process.once("SIGINT", stop);
+      process.once("SIGTERM", stop);
+    } else if (transportConfig.type === "stdio") {
+      const server = createMcpServer({ id: null, transport: "stdio" });
+      const transport = new StdioServerTransport();
+      await server.connect(transport);
+      log("MCP server connected (stdio)");
+      const stop = () => shutdown(() => server.close());
+      process.once("SIGINT", stop);
+      process.once("SIGTERM", stop);
+    } else {
+      throw new Error(`Unknown transport: ${transportConfig.type}`);
+    }
   } catch (e) {
     errorLog("MCP server failed to start:", e instanceof Error ? e.stack ?? e.message : String(e));
     process.exit(1);
@@ -42,6 +42,7 @@ async function loadTreeSitterOnce() {
 
 export const name = "code_patch_ast";
 export const description = "Patch code using ASTs for multiple languages (JS/TS/JSON/YAML + optional Python/Go via tree-sitter).";
+export const annotations = { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false };
 export const schema = {
   type: "object",
   properties: {
@@ -262,7 +263,8 @@ async function pyOrGoRename(fileContent, lang, oldIdent, newIdent) {
 }
 
 // ---------- main handler ----------
-export async function handler(args, { workspaceFolder }) {
+export async function handler(args, context = {}) {
+  const { workspaceFolder } = context;
   if (args.command !== "patch") return "⚠ Unknown command";
 
   const projectRoot = args.root ? path.resolve(workspaceFolder, args.root) : workspaceFolder;
@@ -371,6 +373,8 @@ export async function handler(args, { workspaceFolder }) {
   }
 
   writeText(absFile, finalText);
+  // lets caches of this project's read-only tools drop what they hold
+  await context.system?.eventBus?.emitPersisted("file.changed", { projectRoot, file: path.relative(projectRoot, absFile).split(path.sep).join("/"), tool: name });
   return `✅ AST patch applied: ${path.relative(projectRoot, absFile)}`;
 }
 
@@ -384,5 +388,6 @@ export default {
   name,
   description,
   schema,
+  annotations,
   handler
 };
@@ -14,6 +14,7 @@ import path from "path";
 // ✅ named exports REQUIRED BY MCP spec
 export const name = "db_tool";
 export const description = "Manages SQL/NoSQL databases (SQLite, MySQL, PostgreSQL, Mongo, JSON).";
+export const annotations = { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true };
 
 export const schema = {
   type: "object",
@@ -200,5 +201,6 @@ export default {
   name,
   description,
   schema,
+  annotations,
   handler
 };
@@ -2,13 +2,16 @@
 /**
  * Kryonex DB module (SQLite via better-sqlite3)
  * - openDb(dbPath) -> returns an object with many code-indexing functions AND task/tool persistence functions:
- *   - saveTask(task), updateTask(task), listTasks()
- *   - saveToolRun(record)
- *   - saveEvent(event)
- *   - saveWorkflowNode(node)
+ *   - saveTask(task), updateTask(task), listTasks(), getTask(id)
+ *   - saveToolRun(record), listToolRuns({ limit, toolName }), getToolRun(id)
+ *   - saveEvent(event), listEvents(opts), pruneEvents(opts)
+ *   - saveWorkflowNode(node), listWorkflowNodes(), deleteWorkflowNodes(ids)
+ *   - enqueueJob(job), claimJob(queue, opts), ackJob(id), nackJob(id, opts), extendJobLease(id, until),
+ *     countJobs(queue, now), listJobs(queue, opts), requeueJob(id), releaseJob(id), deleteJob(id)
+ *     (SqliteQueue, system/taskQueue.mjs)
  *
  * This file wraps and reuses the original code-index functions (upsertFile, replaceSymbols, summary, etc.)
- * and adds migrations for tasks/tool_runs/events/workflow_nodes.
+ * and adds migrations for tasks/tool_runs/events/workflow_nodes/queue_jobs.
  */
 
 import fs from "fs";
@@ -34,6 +37,53 @@ try {
   }
 }
 
+function mapTaskRow(r) {
+  return {
+    id: r.id,
+    parent: r.parent,
+    title: r.title,
+    status: r.status,
+    steps: r.steps_json ? JSON.parse(r.steps_json) : [],
+    meta: r.meta_json ? JSON.parse(r.meta_json) : {},
+    result: r.result_json ? JSON.parse(r.result_json) : null,
+    error: r.error_text || null,
+    createdAt: r.created_at,
+    updatedAt: r.updated_at,
+  };
+}
+
+function mapToolRunRow(r) {
+  return {
+    id: r.id,
+    toolName: r.tool_name,
+    status: r.status || (r.error_text ? "failed" : "completed"),
+    args: r.args_json ? JSON.parse(r.args_json) : null,
+    result: r.result_json ? JSON.parse(r.result_json) : null,
+    error: r.error_text || null,
+    startedAt: r.started_at,
+    finishedAt: r.finished_at,
+    durationMs: r.duration_ms,
+    contextMeta: r.context_meta_json ? JSON.parse(r.context_meta_json) : null,
+  };
+}
+
+function mapJobRow(r) {
+  return {
+    id: r.id,
+    queue: r.queue,
+    payload: r.payload_json ? JSON.parse(r.payload_json) : null,
+    priority: r.priority,
+    status: r.status,
+    attempts: r.attempts,
+    maxAttempts: r.max_attempts,
+    availableAt: r.available_at,
+    leasedUntil: r.leased_until,
+    error: r.last_error || null,
+    createdAt: r.created_at,
+    updatedAt: r.updated_at,
+  };
+}
+
 export async function openDb(dbPath) {
   // ensure dir exists
   const dir = path.dirname(dbPath);
@@ -73,6 +123,10 @@ export async function openDb(dbPath) {
     )
   `).run();
 
+  // tool_runs.status was added after the table shipped; add it to existing databases
+  const toolRunCols = db.prepare(`PRAGMA table_info(tool_runs)`).all().map((c) => c.name);
+  if (!toolRunCols.includes("status")) db.prepare(`ALTER TABLE tool_runs ADD COLUMN status TEXT`).run();
+
   db.prepare(`
     CREATE TABLE IF NOT EXISTS events (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -82,6 +136,8 @@ export async function openDb(dbPath) {
     )
   `).run();
 
+  db.prepare(`CREATE INDEX IF NOT EXISTS events_ts ON events (ts)`).run();
+
   db.prepare(`
     CREATE TABLE IF NOT EXISTS workflow_nodes (
       id TEXT PRIMARY KEY,
@@ -90,6 +146,52 @@ export async function openDb(dbPath) {
     )
   `).run();
 
+  // durable job queue (SqliteQueue); times are epoch milliseconds so they order and compare cheaply
+  db.prepare(`
+    CREATE TABLE IF NOT EXISTS queue_jobs (
+      id TEXT PRIMARY KEY,
+      queue TEXT NOT NULL,
+      payload_json TEXT,
+      priority INTEGER NOT NULL DEFAULT 0,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      available_at INTEGER NOT NULL,
+      leased_until INTEGER,
+      last_error TEXT,
+      seq INTEGER NOT NULL,
+      created_at TEXT,
+      updated_at TEXT
+    )
+  `).run();
+  db.prepare(`CREATE INDEX IF NOT EXISTS queue_jobs_ready ON queue_jobs (queue, status, priority DESC, available_at, seq)`).run();
+
+  // a ready job whose time has come, or an in-flight job whose lease ran out (re-delivery)
+  const nextJobStmt = db.prepare(`
+    SELECT * FROM queue_jobs
+    WHERE queue = @queue AND ((status = 'ready' AND available_at <= @now) OR (status = 'inflight' AND leased_until <= @now))
+    ORDER BY priority DESC, available_at ASC, seq ASC
+    LIMIT 1
+  `);
+  const leaseJobStmt = db.prepare(`UPDATE queue_jobs SET status = 'inflight', attempts = attempts + 1, leased_until = @leasedUntil, updated_at = @updatedAt WHERE id = @id`);
+  const deadJobStmt = db.prepare(`UPDATE queue_jobs SET status = 'dead', leased_until = NULL, last_error = @error, updated_at = @updatedAt WHERE id = @id`);
+  const claimJobTx = db.transaction(({ queue, now, visibilityMs }) => {
+    for (;;) {
+      const row = nextJobStmt.get({ queue, now });
+      if (!row) return null;
+      const updatedAt = new Date(now).toISOString();
+      // a lease that expired on the last allowed attempt is not delivered again
+      if (row.status === "inflight" && row.attempts >= row.max_attempts) {
+        deadJobStmt.run({ id: row.id, error: row.last_error || "visibility timeout expired", updatedAt });
+        continue;
+      }
+      const leasedUntil = now + visibilityMs;
+      leaseJobStmt.run({ id: row.id, leasedUntil, updatedAt });
+      return mapJobRow({ ...row, status: "inflight", attempts: row.attempts + 1, leased_until: leasedUntil, updated_at: updatedAt });
+    }
+  });
+  let jobSeq = db.prepare(`SELECT COALESCE(MAX(seq), 0) AS n FROM queue_jobs`).get().n;
+
   // ---- existing code-indexing schema and functions copied from original file ----
   // We'll reuse the original functions if present in a file 'legacy' style.
   // For safety, implement a minimal set that existed in original module (upsertFile, replaceSymbols etc.)
@@ -189,26 +291,21 @@ export async function openDb(dbPath) {
 
     async listTasks() {
       const rows = db.prepare(`SELECT * FROM tasks ORDER BY created_at DESC`).all();
-      return rows.map(r => ({
-        id: r.id,
-        parent: r.parent,
-        title: r.title,
-        status: r.status,
-        steps: r.steps_json ? JSON.parse(r.steps_json) : [],
-        meta: r.meta_json ? JSON.parse(r.meta_json) : {},
-        result: r.result_json ? JSON.parse(r.result_json) : null,
-        error: r.error_text || null,
-        createdAt: r.created_at,
-        updatedAt: r.updated_at,
-      }));
+      return rows.map(mapTaskRow);
+    },
+
+    async getTask(id) {
+      const r = db.prepare(`SELECT * FROM tasks WHERE id = ?`).get(id);
+      return r ? mapTaskRow(r) : null;
     },
 
     // ------------- TOOL RUNS -------------
     async saveToolRun(rec) {
-      // rec = { id, toolName, args, result, error, startedAt, finishedAt, durationMs, contextMeta }
+      // rec = { id, toolName, args, status, result, error, startedAt, finishedAt, durationMs, contextMeta }
       const row = {
         id: rec.id,
         tool_name: rec.toolName || rec.tool_name || null,
+        status: rec.status || (rec.error ? "failed" : "completed"),
         args_json: rec.args ? JSON.stringify(rec.args) : null,
         result_json: rec.result ? JSON.stringify(rec.result) : null,
         error_text: rec.error ? String(rec.error) : null,
@@ -217,12 +314,24 @@ export async function openDb(dbPath) {
         duration_ms: rec.durationMs || rec.duration_ms || null,
         context_meta_json: rec.contextMeta ? JSON.stringify(rec.contextMeta) : null,
       };
-      const stmt = db.prepare(`INSERT OR REPLACE INTO tool_runs (id, tool_name, args_json, result_json, error_text, started_at, finished_at, duration_ms, context_meta_json)
-       VALUES (@id,@tool_name,@args_json,@result_json,@error_text,@started_at,@finished_at,@duration_ms,@context_meta_json)`);
+      const stmt = db.prepare(`INSERT OR REPLACE INTO tool_runs (id, tool_name, status, args_json, result_json, error_text, started_at, finished_at, duration_ms, context_meta_json)
+       VALUES (@id,@tool_name,@status,@args_json,@result_json,@error_text,@started_at,@finished_at,@duration_ms,@context_meta_json)`);
       stmt.run(row);
       return true;
     },
 
+    async listToolRuns({ limit = 50, toolName = null } = {}) {
+      const rows = toolName
+        ? db.prepare(`SELECT * FROM tool_runs WHERE tool_name = ? ORDER BY started_at DESC LIMIT ?`).all(toolName, limit)
+        : db.prepare(`SELECT * FROM tool_runs ORDER BY started_at DESC LIMIT ?`).all(limit);
+      return rows.map(mapToolRunRow);
+    },
+
+    async getToolRun(id) {
+      const r = db.prepare(`SELECT * FROM tool_runs WHERE id = ?`).get(id);
+      return r ? mapToolRunRow(r) : null;
+    },
+
     // ------------- EVENTS -------------
     async saveEvent(evt) {
       // evt = { eventName, payload, ts }
@@ -236,6 +345,23 @@ export async function openDb(dbPath) {
       return true;
     },
 
+    // events after afterId (and within since/until ISO timestamps), oldest first
+    async listEvents({ afterId = 0, since = null, until = null, limit = 200 } = {}) {
+      const where = ["id > @afterId"];
+      if (since) where.push("ts >= @since");
+      if (until) where.push("ts <= @until");
+      const rows = db.prepare(`SELECT * FROM events WHERE ${where.join(" AND ")} ORDER BY id ASC LIMIT @limit`).all({ afterId, since, until, limit });
+      return rows.map((r) => ({ id: r.id, name: r.name, payload: r.payload_json ? JSON.parse(r.payload_json) : null, ts: r.ts }));
+    },
+
+    // delete events older than `before` and/or all but the newest `keep`; returns the number deleted
+    async pruneEvents({ before = null, keep = null } = {}) {
+      let deleted = 0;
+      if (before) deleted += db.prepare(`DELETE FROM events WHERE ts < ?`).run(before).changes;
+      if (keep) deleted += db.prepare(`DELETE FROM events WHERE id <= (SELECT id FROM events ORDER BY id DESC LIMIT 1 OFFSET ?)`).run(keep).changes;
+      return deleted;
+    },
+
     // ------------- Workflow nodes -------------
     async saveWorkflowNode(node) {
       // node = { id, payload, createdAt }
@@ -250,6 +376,106 @@ export async function openDb(dbPath) {
       return true;
     },
 
+    async listWorkflowNodes() {
+      const rows = db.prepare(`SELECT * FROM workflow_nodes ORDER BY created_at ASC`).all();
+      return rows.map(r => ({
+        id: r.id,
+        payload: r.payload_json ? JSON.parse(r.payload_json) : null,
+        createdAt: r.created_at,
+      }));
+    },
+
+    async deleteWorkflowNodes(ids = []) {
+      const stmt = db.prepare(`DELETE FROM workflow_nodes WHERE id = ?`);
+      const run = db.transaction((list) => list.reduce((n, id) => n + stmt.run(id).changes, 0));
+      return run(ids);
+    },
+
+    // ------------- Queue jobs -------------
+    async enqueueJob(job) {
+      // job = { id, queue, payload, priority, availableAt, maxAttempts }
+      const now = new Date().toISOString();
+      const row = {
+        id: job.id,
+        queue: job.queue,
+        payload_json: job.payload !== undefined ? JSON.stringify(job.payload) : null,
+        priority: job.priority || 0,
+        max_attempts: job.maxAttempts || 3,
+        available_at: job.availableAt || Date.now(),
+        seq: ++jobSeq,
+        created_at: now,
+        updated_at: now,
+      };
+      db.prepare(`INSERT INTO queue_jobs (id, queue, payload_json, priority, status, attempts, max_attempts, available_at, seq, created_at, updated_at)
+        VALUES (@id,@queue,@payload_json,@priority,'ready',0,@max_attempts,@available_at,@seq,@created_at,@updated_at)`).run(row);
+      return true;
+    },
+
+    // lease the next deliverable job for visibilityMs; returns the job or null
+    async claimJob(queue, { now = Date.now(), visibilityMs = 30000 } = {}) {
+      return claimJobTx({ queue, now, visibilityMs });
+    },
+
+    async ackJob(id) {
+      return db.prepare(`DELETE FROM queue_jobs WHERE id = ? AND status = 'inflight'`).run(id).changes > 0;
+    },
+
+    // release a leased job: back to ready after delayMs, or dead once it used its attempts
+    async nackJob(id, { error = null, delayMs = 0, now = Date.now() } = {}) {
+      const row = db.prepare(`SELECT * FROM queue_jobs WHERE id = ? AND status = 'inflight'`).get(id);
+      if (!row) return null;
+      const dead = row.attempts >= row.max_attempts;
+      db.prepare(`UPDATE queue_jobs SET status = @status, available_at = @availableAt, leased_until = NULL, last_error = @error, updated_at = @updatedAt WHERE id = @id`).run({
+        id,
+        status: dead ? "dead" : "ready",
+        availableAt: now + Math.max(0, delayMs),
+        error: error ? String(error) : null,
+        updatedAt: new Date(now).toISOString(),
+      });
+      return dead ? "dead" : "ready";
+    },
+
+    async extendJobLease(id, leasedUntil) {
+      return db.prepare(`UPDATE queue_jobs SET leased_until = ?, updated_at = ? WHERE id = ? AND status = 'inflight'`).run(leasedUntil, new Date().toISOString(), id).changes > 0;
+    },
+
+    // { ready, delayed, inflight, dead } for a queue; expired leases count as ready
+    async countJobs(queue, now = Date.now()) {
+      const r = db.prepare(`
+        SELECT
+          SUM(CASE WHEN (status = 'ready' AND available_at <= @now) OR (status = 'inflight' AND leased_until <= @now) THEN 1 ELSE 0 END) AS ready,
+          SUM(CASE WHEN status = 'ready' AND available_at > @now THEN 1 ELSE 0 END) AS delayed,
+          SUM(CASE WHEN status = 'inflight' AND leased_until > @now THEN 1 ELSE 0 END) AS inflight,
+          SUM(CASE WHEN status = 'dead' THEN 1 ELSE 0 END) AS dead
+        FROM queue_jobs WHERE queue = @queue
+      `).get({ queue, now });
+      return { ready: r.ready || 0, delayed: r.delayed || 0, inflight: r.inflight || 0, dead: r.dead || 0 };
+    },
+
+    async listJobs(queue, { status = null, limit = 50 } = {}) {
+      const rows = status
+        ? db.prepare(`SELECT * FROM queue_jobs WHERE queue = ? AND status = ? ORDER BY seq ASC LIMIT ?`).all(queue, status, limit)
+        : db.prepare(`SELECT * FROM queue_jobs WHERE queue = ? ORDER BY seq ASC LIMIT ?`).all(queue, limit);
+      return rows.map(mapJobRow);
+    },
+
+    // hand a leased job back without counting the delivery (its worker stopped before it could finish)
+    async releaseJob(id) {
+      return db.prepare(`UPDATE queue_jobs SET status = 'ready', attempts = MAX(attempts - 1, 0), leased_until = NULL, updated_at = ? WHERE id = ? AND status = 'inflight'`)
+        .run(new Date().toISOString(), id).changes > 0;
+    },
+
+    // remove a job that is not leased (cancelled before a worker picked it up)
+    async deleteJob(id) {
+      return db.prepare(`DELETE FROM queue_jobs WHERE id = ? AND status != 'inflight'`).run(id).changes > 0;
+    },
+
+    // move a dead job back to ready with its attempts reset
+    async requeueJob(id) {
+      return db.prepare(`UPDATE queue_jobs SET status = 'ready', attempts = 0, available_at = ?, leased_until = NULL, updated_at = ? WHERE id = ? AND status = 'dead'`)
+        .run(Date.now(), new Date().toISOString(), id).changes > 0;
+    },
+
     // ------------- Minimal code indexing helpers (existing functionality) -------------
     upsertFile(filePath, hash = null, lang = null, modifiedTime = null) {
       const existing = findFileStmt.get(filePath);
@@ -0,0 +1,38 @@
+// src/system/abort.mjs
+/**
+ * AbortSignal helpers shared by ToolRunner / WorkflowEngine / agents.
+ * MCP cancellation (notifications/cancelled) aborts the request's signal with an
+ * optional string reason, so errors are normalised to Error objects named "AbortError".
+ */
+
+export function abortError(signal, what = "Operation") {
+  const reason = signal && signal.reason;
+  const detail = reason ? (reason instanceof Error ? reason.message : String(reason)) : "";
+  const err = new Error(`${what} cancelled${detail ? `: ${detail}` : ""}`);
+  err.name = "AbortError";
+  return err;
+}
+
+export function isAbortError(e) {
+  return !!e && e.name === "AbortError";
+}
+
+export function throwIfAborted(signal, what) {
+  if (signal && signal.aborted) throw abortError(signal, what);
+}
+
+/**
+ * raceAbort - settle with the promise, or reject with an AbortError once the signal aborts
+ */
+export function raceAbort(promise, signal, what) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError(signal, what));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError(signal, what));
+    signal.addEventListener("abort", onAbort, { once: true });
+    Promise.resolve(promise).then(
+      (v) => { signal.removeEventListener("abort", onAbort); resolve(v); },
+      (e) => { signal.removeEventListener("abort", onAbort); reject(e); },
+    );
+  });
+}
@@ -1,10 +1,46 @@
 import EventEmitter from "events";
 
+/**
+ * EventBus - EventEmitter with persisted events (db.saveEvent), pattern subscriptions,
+ * replay of stored events and retention.
+ *
+ * Patterns match dot-separated names: `*` is one segment, `**` any number of segments
+ * (`task.*` matches task.completed, `task.**` also matches task.step.added, `**` matches all).
+ */
+
+/**
+ * matchEvent - true if an event name matches a pattern
+ */
+export function matchEvent(pattern, name) {
+  const p = String(pattern).split(".");
+  const n = String(name).split(".");
+  const match = (i, j) => {
+    if (i === p.length) return j === n.length;
+    if (p[i] === "**") {
+      for (let k = j; k <= n.length; k++) if (match(i + 1, k)) return true;
+      return false;
+    }
+    if (j === n.length) return false;
+    return (p[i] === "*" || p[i] === n[j]) && match(i + 1, j + 1);
+  };
+  return match(0, 0);
+}
+
+// a replay filter: pattern string, array of patterns, or predicate(event)
+function toPredicate(filter) {
+  if (!filter) return () => true;
+  if (typeof filter === "function") return filter;
+  const patterns = [].concat(filter);
+  return (evt) => patterns.some((p) => matchEvent(p, evt.name));
+}
+
 class EventBus extends EventEmitter {
   constructor({ db = null, semanticStore = null } = {}) {
     super();
     this.db = db;
     this.semanticStore = semanticStore;
+    this.patternListeners = new Set(); // { pattern, listener }
+    this.retentionTimer = null;
   }
 
   async emitPersisted(name, payload = {}) {
@@ -17,6 +53,78 @@ class EventBus extends EventEmitter {
       this.emit(name, payload);
     } catch (e) { console.error("[EventBus] emit failed", e); }
   }
+
+  emit(name, ...args) {
+    const handled = super.emit(name, ...args);
+    let matched = false;
+    for (const sub of Array.from(this.patternListeners)) {
+      if (!matchEvent(sub.pattern, name)) continue;
+      matched = true;
+      try { sub.listener(args[0], name); } catch (e) { console.error("[EventBus] subscriber failed", sub.pattern, e); }
+    }
+    return handled || matched;
+  }
+
+  /**
+   * subscribe - listener(payload, name) for every event matching pattern; returns unsubscribe()
+   */
+  subscribe(pattern, listener) {
+    const sub = { pattern, listener };
+    this.patternListeners.add(sub);
+    return () => { this.patternListeners.delete(sub); };
+  }
+
+  /**
+   * replay - async iterator over stored events ({ id, name, payload, ts }) oldest first.
+   * since is an event id (events after it) or an ISO timestamp / Date (events at or after it);
+   * filter is a pattern, an array of patterns or a predicate. opts.until and opts.limit bound it.
+   */
+  async *replay(since = null, filter = null, { until = null, limit = Infinity, pageSize = 200 } = {}) {
+    if (!this.db || typeof this.db.listEvents !== "function") return;
+    const match = toPredicate(filter);
+    let afterId = typeof since === "number" ? since : 0;
+    const sinceTs = since instanceof Date ? since.toISOString() : typeof since === "string" ? since : null;
+    const untilTs = until instanceof Date ? until.toISOString() : until;
+    let yielded = 0;
+    while (yielded < limit) {
+      const page = await this.db.listEvents({ afterId, since: sinceTs, until: untilTs, limit: pageSize });
+      if (!page.length) return;
+      for (const evt of page) {
+        afterId = evt.id;
+        if (!match(evt)) continue;
+        yield evt;
+        if (++yielded >= limit) return;
+      }
+      if (page.length < pageSize) return;
+    }
+  }
+
+  /**
+   * prune - delete stored events older than maxAgeMs and/or beyond the newest maxCount; returns the count
+   */
+  async prune({ maxAgeMs = null, maxCount = null } = {}) {
+    if (!this.db || typeof this.db.pruneEvents !== "function") return 0;
+    const before = maxAgeMs ? new Date(Date.now() - maxAgeMs).toISOString() : null;
+    if (!before && !maxCount) return 0;
+    return this.db.pruneEvents({ before, keep: maxCount || null });
+  }
+
+  /**
+   * startRetention - prune now and then every intervalMs (default hourly); returns stop()
+   */
+  startRetention({ maxAgeMs = null, maxCount = null, intervalMs = 60 * 60 * 1000 } = {}) {
+    this.stopRetention();
+    const run = () => this.prune({ maxAgeMs, maxCount }).catch((e) => console.error("[EventBus] prune failed", e));
+    run();
+    this.retentionTimer = setInterval(run, intervalMs);
+    if (this.retentionTimer.unref) this.retentionTimer.unref();
+    return () => this.stopRetention();
+  }
+
+  stopRetention() {
+    if (this.retentionTimer) clearInterval(this.retentionTimer);
+    this.retentionTimer = null;
+  }
 }
 
 export default EventBus;
@@ -0,0 +1,232 @@
+// src/system/eventSinks.mjs
+/**
+ * EventSinks - forward EventBus events to outside tooling.
+ *
+ * Configured in .kryonex/config.json as "eventSinks": [ ... ], each entry one of
+ *   { "type": "file", "path": ".kryonex/events.ndjson" }                 append-only NDJSON
+ *   { "type": "webhook", "url": "http://127.0.0.1:8080/hook", "headers": {}, "retries": 3, "backoffMs": 500 }
+ *   { "type": "socket", "path": "/tmp/kryonex-events.sock" }               NDJSON over a Unix socket
+ * with optional "events" / "exclude" name patterns (see EventBus matchEvent, default all events) and
+ * "redact": extra payload keys to mask. Keys that look like secrets (password, token, apiKey...)
+ * are always masked. Webhooks must point at a loopback host unless "allowRemote": true.
+ *
+ * Records are { name, ts, payload }. Delivery is in order per sink and never blocks emitters;
+ * each sink buffers at most maxQueue records and drops the oldest beyond that.
+ */
+
+import fs from "fs/promises";
+import net from "net";
+import path from "path";
+import { setTimeout as wait } from "timers/promises";
+import { matchEvent } from "./eventBus.mjs";
+
+const DEFAULT_REDACT = ["password", "passwd", "secret", "token", "apikey", "api_key", "authorization", "cookie", "privatekey", "private_key"];
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "::1", "[::1]"];
+
+/**
+ * redactPayload - copy of a payload with the given keys (case-insensitive, at any depth) masked.
+ * Only a value that contains itself becomes "[Circular]"; one shared by siblings is copied each time.
+ */
+export function redactPayload(value, keys = DEFAULT_REDACT, ancestors = new WeakSet()) {
+  if (!value || typeof value !== "object") return value;
+  if (ancestors.has(value)) return "[Circular]";
+  if (value instanceof Error) return { name: value.name, message: value.message };
+  ancestors.add(value);
+  try {
+    if (Array.isArray(value)) return value.map((v) => redactPayload(v, keys, ancestors));
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = keys.includes(k.toLowerCase()) ? "[REDACTED]" : redactPayload(v, keys, ancestors);
+    }
+    return out;
+  } finally {
+    ancestors.delete(value);
+  }
+}
+
+// ordered, bounded delivery: send(record) is awaited one record at a time
+function createDispatcher(name, send, { maxQueue = 1000, warn = console.error } = {}) {
+  const queue = [];
+  let draining = null;
+  let dropped = 0;
+
+  const drain = async () => {
+    while (queue.length) {
+      const record = queue.shift();
+      try { await send(record); } catch (e) { warn(`[eventSinks] ${name} dropped ${record.name}:`, e instanceof Error ? e.message : String(e)); }
+    }
+    draining = null;
+  };
+
+  return {
+    push(record) {
+      if (queue.length >= maxQueue) {
+        queue.shift();
+        if (++dropped % 100 === 1) warn(`[eventSinks] ${name} queue full, dropping oldest events (${dropped} so far)`);
+      }
+      queue.push(record);
+      if (!draining) draining = drain();
+    },
+    // resolves once everything queued so far was handled
+    flush() { return draining || Promise.resolve(); },
+  };
+}
+
+function fileSink(cfg, { baseDir }) {
+  if (!cfg.path) throw new Error("file sink needs a path");
+  const file = path.resolve(baseDir, cfg.path);
+  let ready = null;
+  return {
+    name: `file:${file}`,
+    async send(record) {
+      if (!ready) ready = fs.mkdir(path.dirname(file), { recursive: true });
+      await ready;
+      await fs.appendFile(file, JSON.stringify(record) + "\n", "utf8");
+    },
+    async close() {},
+  };
+}
+
+function webhookSink(cfg) {
+  if (!cfg.url) throw new Error("webhook sink needs a url");
+  const url = new URL(cfg.url);
+  if (!["http:", "https:"].includes(url.protocol)) throw new Error(`webhook url must be http(s): ${cfg.url}`);
+  if (!cfg.allowRemote && !LOOPBACK_HOSTS.includes(url.hostname)) {
+    throw new Error(`webhook ${url.host} is not a loopback host; set "allowRemote": true to send events off this machine`);
+  }
+  const retries = cfg.retries ?? 3;
+  const backoffMs = cfg.backoffMs ?? 500;
+  const timeoutMs = cfg.timeoutMs ?? 5000;
+
+  return {
+    name: `webhook:${url.origin}${url.pathname}`,
+    async send(record) {
+      for (let attempt = 0; ; attempt++) {
+        let reason;
+        let retryable = true;
+        try {
+          const res = await fetch(url, {
+            method: "POST",
+            headers: { "content-type": "application/json", ...(cfg.headers || {}) },
+            body: JSON.stringify(record),
+            signal: AbortSignal.timeout(timeoutMs),
+          });
+          if (res.ok) return;
+          reason = `HTTP ${res.status}`;
+          // other 4xx responses will not succeed on retry
+          retryable = res.status >= 500 || res.status === 429;
+        } catch (e) {
+          reason = e instanceof Error ? e.message : String(e);
+        }
+        if (!retryable || attempt >= retries) throw new Error(`${reason} after ${attempt + 1} attempt(s)`);
+        await wait(backoffMs * Math.pow(2, attempt));
+      }
+    },
+    async close() {},
+  };
+}
+
+function socketSink(cfg, { baseDir }) {
+  if (!cfg.path) throw new Error("socket sink needs a path");
+  const socketPath = path.resolve(baseDir, cfg.path);
+  const reconnectMs = cfg.reconnectMs ?? 1000;
+  let socket = null;
+  let connecting = null;
+  let nextAttempt = 0;
+  let closed = false;
+
+  const connect = () => {
+    if (connecting) return connecting;
+    connecting = new Promise((resolve, reject) => {
+      const s = net.createConnection(socketPath);
+      s.once("connect", () => {
+        socket = s;
+        connecting = null;
+        s.on("error", () => {});
+        s.once("close", () => { if (socket === s) socket = null; });
+        resolve(s);
+      });
+      s.once("error", (e) => {
+        connecting = null;
+        nextAttempt = Date.now() + reconnectMs;
+        s.destroy();
+        reject(e);
+      });
+    });
+    return connecting;
+  };
+
+  return {
+    name: `socket:${socketPath}`,
+    async send(record) {
+      if (closed) return;
+      if (!socket) {
+        // nobody listening: drop quietly until the next connection attempt (the failed attempt was reported)
+        if (Date.now() < nextAttempt) return;
+        await connect();
+      }
+      const line = JSON.stringify(record) + "\n";
+      await new Promise((resolve, reject) => socket.write(line, (err) => (err ? reject(err) : resolve())));
+    },
+    async close() {
+      closed = true;
+      if (socket) socket.end();
+      socket = null;
+    },
+  };
+}
+
+const SINK_TYPES = { file: fileSink, webhook: webhookSink, socket: socketSink };
+
+/**
+ * @param {object} opts
+ * @param {import('./eventBus.mjs').default} opts.eventBus
+ * @param {Array<any>} [opts.sinks] the "eventSinks" config entries
+ * @param {string} [opts.baseDir] relative file / socket paths resolve against it
+ * @param {(m: string, ...a: any[]) => void} [opts.warn]
+ */
+export default function createEventSinks({ eventBus, sinks = [], baseDir = process.cwd(), warn = console.error } = {}) {
+  const active = [];
+  for (const [i, cfg] of (Array.isArray(sinks) ? sinks : []).entries()) {
+    if (!cfg || cfg.enabled === false) continue;
+    const factory = SINK_TYPES[cfg.type];
+    if (!factory) {
+      warn(`[eventSinks] eventSinks[${i}]: unknown type ${JSON.stringify(cfg.type)}`);
+      continue;
+    }
+    let sink;
+    try {
+      sink = factory(cfg, { baseDir });
+    } catch (e) {
+      warn(`[eventSinks] eventSinks[${i}] skipped:`, e instanceof Error ? e.message : String(e));
+      continue;
+    }
+    const include = [].concat(cfg.events || "**");
+    const exclude = [].concat(cfg.exclude || []);
+    const redact = DEFAULT_REDACT.concat((cfg.redact || []).map((k) => String(k).toLowerCase()));
+    const dispatcher = createDispatcher(sink.name, sink.send, { maxQueue: cfg.maxQueue || 1000, warn });
+
+    active.push({ name: sink.name, sink, dispatcher, include, exclude, redact });
+  }
+
+  // one subscription for all sinks so every sink sees the same timestamp for an event
+  const unsubscribe = active.length
+    ? eventBus.subscribe("**", (payload, name) => {
+      const ts = new Date().toISOString();
+      for (const a of active) {
+        if (!a.include.some((p) => matchEvent(p, name)) || a.exclude.some((p) => matchEvent(p, name))) continue;
+        a.dispatcher.push({ name, ts, payload: redactPayload(payload, a.redact) });
+      }
+    })
+    : () => {};
+
+  return {
+    list() { return active.map((a) => a.name); },
+    flush() { return Promise.all(active.map((a) => a.dispatcher.flush())).then(() => {}); },
+    async close() {
+      unsubscribe();
+      await this.flush();
+      for (const a of active) await a.sink.close().catch(() => {});
+    },
+  };
+}
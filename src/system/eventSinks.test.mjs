@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import EventBus from "./eventBus.mjs";
+import createEventSinks, { redactPayload } from "./eventSinks.mjs";
+
+test("secret-looking keys are masked at any depth", () => {
+  const out = redactPayload({ args: { query: "select 1", apiKey: "k", nested: [{ Token: "t" }] }, password: "p" });
+  assert.deepEqual(out, { args: { query: "select 1", apiKey: "[REDACTED]", nested: [{ Token: "[REDACTED]" }] }, password: "[REDACTED]" });
+  assert.deepEqual(redactPayload({ user: "u" }, ["user"]), { user: "[REDACTED]" });
+});
+
+test("a value shared by siblings is copied, only a cycle becomes [Circular]", () => {
+  const shared = { path: "src/a.js" };
+  assert.deepEqual(redactPayload({ before: shared, after: shared, list: [shared, shared] }), {
+    before: { path: "src/a.js" }, after: { path: "src/a.js" }, list: [{ path: "src/a.js" }, { path: "src/a.js" }],
+  });
+  const loop = { name: "loop" };
+  loop.self = loop;
+  assert.deepEqual(redactPayload({ a: loop, b: loop }), { a: { name: "loop", self: "[Circular]" }, b: { name: "loop", self: "[Circular]" } });
+});
+
+test("errors keep their name and message", () => {
+  const err = new Error("boom");
+  err.name = "ToolTimeoutError";
+  assert.deepEqual(redactPayload({ error: err }), { error: { name: "ToolTimeoutError", message: "boom" } });
+});
+
+test("close delivers what was queued to a file sink and unsubscribes", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sinks-test-"));
+  try {
+    const eventBus = new EventBus();
+    const sinks = createEventSinks({ eventBus, sinks: [{ type: "file", path: "events.ndjson", events: ["tool.*"], exclude: ["tool.log"] }], baseDir: dir, warn: () => {} });
+    for (let i = 0; i < 5; i++) eventBus.emit("tool.end", { i, token: "t" });
+    eventBus.emit("tool.log", { i: -1 });
+    eventBus.emit("task.created", { i: -2 });
+    await sinks.close();
+    eventBus.emit("tool.end", { i: 99 });
+
+    const lines = (await fs.readFile(path.join(dir, "events.ndjson"), "utf8")).trim().split("\n").map((l) => JSON.parse(l));
+    assert.deepEqual(lines.map((l) => l.payload.i), [0, 1, 2, 3, 4]);
+    assert.equal(lines[0].payload.token, "[REDACTED]");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("webhooks must be on a loopback host unless allowRemote", () => {
+  const warnings = [];
+  const sinks = createEventSinks({ eventBus: new EventBus(), sinks: [{ type: "webhook", url: "https://example.com/hook" }, { type: "nope" }], warn: (m) => warnings.push(m) });
+  assert.deepEqual(sinks.list(), []);
+  assert.equal(warnings.length, 2);
+});
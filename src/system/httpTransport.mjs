@@ -0,0 +1,136 @@
+// src/system/httpTransport.mjs
+/**
+ * Streamable HTTP (SSE) transport host.
+ *
+ * Lets several editors/scripts share one long-lived Kryonex process. Each MCP session
+ * (mcp-session-id header) gets its own Server instance from createServer(session) and
+ * its own StreamableHTTPServerTransport; the services behind them are shared.
+ *
+ *  POST   <path>  JSON-RPC requests (initialize without a session id opens a session)
+ *  GET    <path>  SSE stream for server -> client notifications
+ *  DELETE <path>  closes the session
+ */
+
+import http from "http";
+import crypto from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+const LOOPBACK_HOSTS = ["127.0.0.1", "localhost", "::1"];
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+function sendJsonRpcError(res, status, code, message) {
+  if (res.headersSent) return;
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) { reject(new Error("Request body too large")); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      try { resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : undefined); } catch (e) { reject(e); }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * @param {object} opts
+ * @param {(session: { id: string|null, transport: "http" }) => any} opts.createServer returns an MCP Server
+ * @param {string} [opts.host]
+ * @param {number} [opts.port]
+ * @param {string} [opts.path]
+ * @param {(msg: string, ...a: any[]) => void} [opts.log]
+ * @returns {Promise<{ httpServer: http.Server, sessions: Map<string, any>, close: () => Promise<void> }>}
+ */
+export async function startHttpTransport({ createServer, host = "127.0.0.1", port = 3939, path: endpoint = "/mcp", log = console.error } = {}) {
+  if (typeof createServer !== "function") throw new Error("startHttpTransport requires createServer");
+
+  /** @type {Map<string, { transport: StreamableHTTPServerTransport, server: any }>} */
+  const sessions = new Map();
+  const dnsProtection = LOOPBACK_HOSTS.includes(host);
+
+  // the session's Server is closed again (dropping its EventBus subscriptions) unless the
+  // initialize request really opened the session
+  async function openSession(req, res, body) {
+    const session = { id: null, transport: "http" };
+    const server = createServer(session);
+    const listening = httpServer.address();
+    const actualPort = listening && typeof listening === "object" ? listening.port : port;
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (id) => {
+        session.id = id;
+        sessions.set(id, { transport, server });
+        log(`HTTP session opened ${id}`);
+      },
+      enableDnsRebindingProtection: dnsProtection,
+      allowedHosts: dnsProtection ? LOOPBACK_HOSTS.map((h) => `${h.includes(":") ? `[${h}]` : h}:${actualPort}`) : undefined,
+    });
+    // server.connect() chains this with the Server's own close handling (server.onclose)
+    transport.onclose = () => {
+      if (session.id && sessions.delete(session.id)) log(`HTTP session closed ${session.id}`);
+    };
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } finally {
+      if (!session.id) await server.close().catch(() => {});
+    }
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url || "/", `http://${req.headers.host || "localhost"}`);
+      if (url.pathname !== endpoint) { res.writeHead(404).end(); return; }
+
+      const headerId = req.headers["mcp-session-id"];
+      const sessionId = Array.isArray(headerId) ? headerId[0] : headerId;
+      const existing = sessionId ? sessions.get(sessionId) : null;
+
+      if (req.method === "POST") {
+        let body;
+        try { body = await readJsonBody(req); } catch (e) { sendJsonRpcError(res, 400, -32700, `Parse error: ${e.message}`); return; }
+        if (existing) { await existing.transport.handleRequest(req, res, body); return; }
+        if (!sessionId && isInitializeRequest(body)) { await openSession(req, res, body); return; }
+        sendJsonRpcError(res, sessionId ? 404 : 400, -32000, sessionId ? "Unknown session" : "Missing mcp-session-id header");
+        return;
+      }
+
+      if (req.method === "GET" || req.method === "DELETE") {
+        if (!existing) { sendJsonRpcError(res, sessionId ? 404 : 400, -32000, sessionId ? "Unknown session" : "Missing mcp-session-id header"); return; }
+        await existing.transport.handleRequest(req, res);
+        return;
+      }
+
+      res.writeHead(405, { Allow: "GET, POST, DELETE" }).end();
+    } catch (e) {
+      log("HTTP transport request failed:", e instanceof Error ? e.stack ?? e.message : String(e));
+      sendJsonRpcError(res, 500, -32603, "Internal server error");
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => { httpServer.off("error", reject); resolve(undefined); });
+  });
+
+  return {
+    httpServer,
+    sessions,
+    async close() {
+      for (const { transport } of sessions.values()) await transport.close().catch(() => {});
+      sessions.clear();
+      await new Promise((resolve) => httpServer.close(() => resolve(undefined)));
+    },
+  };
+}
+
+export default startHttpTransport;
@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import EventBus from "./eventBus.mjs";
+import ResourceSubscriptions from "./resourceSubscriptions.mjs";
+import { startHttpTransport } from "./httpTransport.mjs";
+
+const INIT = { jsonrpc: "2.0", id: 1, method: "initialize", params: { protocolVersion: "2025-03-26", capabilities: {}, clientInfo: { name: "test", version: "1" } } };
+
+// like createMcpServer in index.ts: every session's Server subscribes to the EventBus until it closes
+function serverFactory(eventBus) {
+  const stats = { created: 0, closed: 0 };
+  const createServer = () => {
+    stats.created++;
+    const server = new Server({ name: "test", version: "1" }, { capabilities: {} });
+    const subscriptions = new ResourceSubscriptions({ eventBus });
+    subscriptions.attach();
+    server.onclose = () => { stats.closed++; subscriptions.detach(); };
+    return server;
+  };
+  return { createServer, stats };
+}
+
+async function post(url, body, headers = {}) {
+  return fetch(url, { method: "POST", headers: { "Content-Type": "application/json", Accept: "application/json, text/event-stream", ...headers }, body: JSON.stringify(body) });
+}
+
+test("a failed initialize closes its server and drops its subscriptions", async () => {
+  const eventBus = new EventBus();
+  const { createServer, stats } = serverFactory(eventBus);
+  const http = await startHttpTransport({ createServer, port: 0, log: () => {} });
+  const url = `http://127.0.0.1:${http.httpServer.address().port}/mcp`;
+  try {
+    for (let i = 0; i < 15; i++) {
+      const res = await post(url, INIT, { Accept: "application/json" });
+      assert.equal(res.status, 406);
+      await res.text();
+    }
+    assert.equal(stats.created, 15);
+    assert.equal(stats.closed, 15);
+    assert.equal(http.sessions.size, 0);
+    assert.equal(eventBus.patternListeners.size, 0);
+  } finally {
+    await http.close();
+  }
+});
+
+test("sessions stay open until closed, without per-event listeners", async () => {
+  const eventBus = new EventBus();
+  const { createServer, stats } = serverFactory(eventBus);
+  const http = await startHttpTransport({ createServer, port: 0, log: () => {} });
+  const url = `http://127.0.0.1:${http.httpServer.address().port}/mcp`;
+  try {
+    for (let i = 0; i < 12; i++) {
+      const res = await post(url, INIT);
+      assert.equal(res.status, 200);
+      assert.ok(res.headers.get("mcp-session-id"));
+      await res.text();
+    }
+    assert.equal(http.sessions.size, 12);
+    assert.equal(eventBus.listenerCount("task.updated"), 0);
+    assert.equal(eventBus.patternListeners.size, 24);
+  } finally {
+    await http.close();
+  }
+  assert.equal(stats.closed, 12);
+  assert.equal(eventBus.patternListeners.size, 0);
+});
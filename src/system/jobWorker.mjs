@@ -0,0 +1,156 @@
+// src/system/jobWorker.mjs
+/**
+ * JobWorker - runs background jobs from the durable job queue (SqliteQueue, taskQueue.mjs).
+ *
+ * A job is { type, args, projectRoot }. enqueue(type, args) stores one; start() runs the handler
+ * registered for its type as handler(args, context, { signal, onProgress }), with contextFor(job) as
+ * the context. A failed job is retried with backoff and dead-lettered after the queue's maxAttempts;
+ * a job cut short by a restart is delivered again once its lease runs out. Jobs still running when
+ * stop() is called are aborted and handed back to the queue without using up an attempt.
+ *
+ * Each job emits persisted job.queued, job.started and job.completed, job.failed or job.cancelled
+ * events ({ id, type, projectRoot, ... }); job.failed carries final: true when the job was
+ * dead-lettered. Progress is emitted as job.progress ({ id, progress, total, message }), not persisted.
+ * wait(id) resolves with the result of a job once it completes and rejects when it fails for good
+ * or is cancelled; cancel(id) drops a queued job or aborts a running one.
+ */
+
+function jobError(payload) {
+  const err = new Error(`Job ${payload.id} (${payload.type}) failed: ${payload.error}`);
+  err.name = "JobFailedError";
+  err.jobId = payload.id;
+  return err;
+}
+
+function abortError(message) {
+  const err = new Error(message);
+  err.name = "AbortError";
+  return err;
+}
+
+/**
+ * @param {object} opts
+ * @param {import('./taskQueue.mjs').SqliteQueue} opts.jobQueue
+ * @param {Record<string, (args: any, context: any, opts: { signal: AbortSignal, onProgress: (p: any) => void }) => any>} opts.handlers job type -> handler
+ * @param {(job: { type: string, args: any, projectRoot: string|null }) => any} [opts.contextFor] context for a job's handler
+ * @param {import('./eventBus.mjs').default} [opts.eventBus]
+ * @param {number} [opts.concurrency] jobs run at once (default 1)
+ */
+export default function createJobWorker({ jobQueue, handlers = {}, contextFor = () => ({}), eventBus = null, concurrency = 1 } = {}) {
+  let stopProcessing = null;
+  let stopping = false;
+  const running = new Map(); // job id -> { controller, cancelled }
+
+  async function emit(name, payload) {
+    if (eventBus) await eventBus.emitPersisted(name, payload).catch(() => {});
+  }
+
+  async function run(payload, job) {
+    const { type, args = {}, projectRoot = null } = payload || {};
+    const base = { id: job.id, type, projectRoot, attempt: job.attempts };
+    const entry = { controller: new AbortController(), cancelled: false };
+    running.set(job.id, entry);
+    await emit("job.started", base);
+    try {
+      const handler = handlers[type];
+      if (typeof handler !== "function") throw new Error(`no handler for job type ${JSON.stringify(type)}`);
+      const onProgress = (p) => { if (eventBus) eventBus.emit("job.progress", { ...p, id: job.id }); };
+      const result = await handler(args, await contextFor({ type, args, projectRoot }), { signal: entry.controller.signal, onProgress });
+      await emit("job.completed", { ...base, result });
+    } catch (e) {
+      // a cancelled job is acked (removed); one aborted by stop() goes back to the queue as it was
+      if (entry.cancelled) {
+        await emit("job.cancelled", base);
+        return;
+      }
+      if (stopping && entry.controller.signal.aborted) {
+        await jobQueue.release(job);
+        return;
+      }
+      await emit("job.failed", { ...base, error: e instanceof Error ? e.message : String(e), final: job.attempts >= job.maxAttempts });
+      throw e;
+    } finally {
+      running.delete(job.id);
+    }
+  }
+
+  return {
+    types() {
+      return Object.keys(handlers);
+    },
+
+    /**
+     * enqueue - store a job; resolves its id. opts are passed to jobQueue.push (priority, delayMs, maxAttempts).
+     */
+    async enqueue(type, args = {}, { projectRoot = null, ...opts } = {}) {
+      if (typeof handlers[type] !== "function") throw new Error(`Unknown job type ${JSON.stringify(type)}`);
+      const id = await jobQueue.push({ type, args, projectRoot }, opts);
+      await emit("job.queued", { id, type, projectRoot });
+      return id;
+    },
+
+    /**
+     * cancel - abort job id if it runs here, else remove it from the queue; resolves false if neither
+     */
+    async cancel(id) {
+      const entry = running.get(id);
+      if (entry) {
+        entry.cancelled = true;
+        entry.controller.abort();
+        return true;
+      }
+      if (!(await jobQueue.remove(id))) return false;
+      await emit("job.cancelled", { id });
+      return true;
+    },
+
+    /**
+     * wait - resolves the result of job id once it completes; rejects when it is dead-lettered or
+     * cancelled, or when signal aborts (the job itself keeps going). onProgress gets its job.progress
+     * payloads. Call it right after enqueue: a job that already finished is not found again.
+     */
+    wait(id, { signal = null, onProgress = null } = {}) {
+      if (!eventBus) return Promise.reject(new Error("JobWorker.wait needs an eventBus"));
+      return new Promise((resolve, reject) => {
+        let off = () => {};
+        const onAbort = () => {
+          off();
+          reject(abortError(`Stopped waiting for job ${id}`));
+        };
+        if (signal?.aborted) return onAbort();
+        signal?.addEventListener("abort", onAbort, { once: true });
+        off = eventBus.subscribe("job.*", (payload, name) => {
+          if (!payload || payload.id !== id) return;
+          if (name === "job.progress") {
+            if (typeof onProgress === "function") onProgress({ progress: payload.progress, total: payload.total, message: payload.message });
+            return;
+          }
+          if (name === "job.completed") resolve(payload.result);
+          else if (name === "job.failed" && payload.final) reject(jobError(payload));
+          else if (name === "job.cancelled") reject(abortError(`Job ${id} was cancelled`));
+          else return;
+          off();
+          signal?.removeEventListener("abort", onAbort);
+        });
+      });
+    },
+
+    start() {
+      if (stopProcessing) return;
+      stopping = false;
+      stopProcessing = jobQueue.process(run, { concurrency });
+    },
+
+    /**
+     * stop - abort running jobs, hand them back to the queue and resolve once the worker loops have exited
+     */
+    async stop() {
+      if (!stopProcessing) return;
+      const stopLoops = stopProcessing;
+      stopProcessing = null;
+      stopping = true;
+      for (const { controller } of running.values()) controller.abort();
+      await stopLoops();
+    },
+  };
+}
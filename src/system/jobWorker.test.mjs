@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { openDb } from "../storage/kryonexDb.js";
+import EventBus from "./eventBus.mjs";
+import { SqliteQueue } from "./taskQueue.mjs";
+import createJobWorker from "./jobWorker.mjs";
+
+async function setup(t, handlers, queueOpts = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "kryonex-jobs-"));
+  const db = await openDb(path.join(dir, "db.sqlite"));
+  const eventBus = new EventBus({ db });
+  const jobQueue = new SqliteQueue(db, "jobs", { pollMs: 5, backoffMs: 1, ...queueOpts });
+  const worker = createJobWorker({ jobQueue, eventBus, handlers, contextFor: (job) => ({ projectRoot: job.projectRoot }) });
+  const events = [];
+  eventBus.subscribe("job.*", (payload, name) => events.push(name));
+  t.mock.method(console, "error", () => {});
+  t.after(async () => { await worker.stop(); db.close(); await fs.rm(dir, { recursive: true, force: true }); });
+  return { worker, jobQueue, events };
+}
+
+test("a queued job runs with its project's context and wait resolves its result", async (t) => {
+  const { worker, jobQueue, events } = await setup(t, { echo: async (args, context) => ({ ...args, root: context.projectRoot }) });
+  const id = await worker.enqueue("echo", { n: 1 }, { projectRoot: "/p" });
+  const done = worker.wait(id);
+  worker.start();
+  assert.deepEqual(await done, { n: 1, root: "/p" });
+  assert.deepEqual(events, ["job.queued", "job.started", "job.completed"]);
+  assert.equal(await jobQueue.length(), 0);
+});
+
+test("a failing job is retried and wait rejects once it is dead-lettered", async (t) => {
+  let calls = 0;
+  const { worker, jobQueue } = await setup(t, { flaky: async () => { calls++; throw new Error("down"); } }, { maxAttempts: 2 });
+  const id = await worker.enqueue("flaky");
+  const done = worker.wait(id);
+  worker.start();
+  await assert.rejects(done, (e) => e.name === "JobFailedError" && e.jobId === id && /down/.test(e.message));
+  assert.equal(calls, 2);
+  await worker.stop(); // the queue dead-letters the job after the handler's failure is reported
+  assert.equal((await jobQueue.deadLetters())[0].id, id);
+});
+
+test("enqueue refuses job types without a handler", async (t) => {
+  const { worker } = await setup(t, {});
+  await assert.rejects(worker.enqueue("nope"), /Unknown job type/);
+});
+
+function blockingHandler() {
+  let started;
+  const running = new Promise((r) => { started = r; });
+  const handler = (args, context, { signal, onProgress }) => new Promise((resolve, reject) => {
+    onProgress({ progress: 1, total: 2, message: "half way" });
+    started();
+    signal.addEventListener("abort", () => reject(new Error("aborted")));
+  });
+  return { handler, running };
+}
+
+test("stop hands a running job back to the queue without using an attempt", async (t) => {
+  const { handler, running } = blockingHandler();
+  const { worker, jobQueue, events } = await setup(t, { slow: handler }, { maxAttempts: 1 });
+  const id = await worker.enqueue("slow");
+  worker.start();
+  await running;
+  await worker.stop();
+  assert.equal(events.includes("job.failed"), false);
+  const [job] = await jobQueue.list();
+  assert.deepEqual([job.id, job.status, job.attempts], [id, "ready", 0]);
+});
+
+test("cancel aborts a running job, removes it and rejects its waiters", async (t) => {
+  const { handler, running } = blockingHandler();
+  const { worker, jobQueue, events } = await setup(t, { slow: handler });
+  const id = await worker.enqueue("slow");
+  const progress = [];
+  const done = worker.wait(id, { onProgress: (p) => progress.push(p) });
+  worker.start();
+  await running;
+  assert.equal(await worker.cancel(id), true);
+  await assert.rejects(done, (e) => e.name === "AbortError");
+  assert.deepEqual(progress, [{ progress: 1, total: 2, message: "half way" }]);
+  await worker.stop();
+  assert.equal(events.includes("job.failed"), false);
+  assert.deepEqual(await jobQueue.list(), []);
+});
+
+test("cancel removes a job that has not started", async (t) => {
+  const { worker, jobQueue } = await setup(t, { echo: async () => ({}) });
+  const id = await worker.enqueue("echo");
+  assert.equal(await worker.cancel(id), true);
+  assert.equal(await worker.cancel(id), false);
+  assert.deepEqual(await jobQueue.list(), []);
+});
@@ -0,0 +1,259 @@
+// src/system/planExpressions.mjs
+/**
+ * Plan expressions - `${...}` templates in planner step args, `when` and `forEach`.
+ *
+ * An expression reads from a scope such as { steps: { scan: { id, status, result, error } }, item, index }:
+ *   ${steps.scan.result.scanned[0].meta.relativePath}
+ *   ${steps.scan.result.scanned.length > 0 && steps.lint.status == "completed"}
+ * Supported: property paths (`.name`, `[0]`, `["key"]`), string/number/true/false/null literals,
+ * `!`, `==`, `!=`, `===`, `!==`, `<`, `<=`, `>`, `>=`, `&&`, `||` and parentheses. Nothing else is
+ * evaluated, so expressions from an LLM plan cannot call functions or reach prototypes.
+ *
+ * A string that is exactly one `${...}` resolves to the raw value (object, array, number...);
+ * `${...}` embedded in a longer string is interpolated.
+ *
+ * Only templates that start from the scope (`steps`, `item` or `index`, optionally after `!` or `(`)
+ * are plan expressions; any other `${...}`, such as a template literal in a code_patch, is left as it
+ * is. `$${` stands for a literal `${`, for code that itself reads a variable called item or index.
+ */
+
+// an escaped `$${`, or a `${...}` template
+const TEMPLATE_RE = /\$(\$\{)|\$\{([^}]*)\}/g;
+const WHOLE_RE = /^\$\{([^}]*)\}$/;
+const SCOPE_RE = /^[\s!(]*(?:steps|item|index)(?![A-Za-z0-9_$-])/;
+const OPERATORS = ["===", "!==", "==", "!=", "<=", ">=", "&&", "||", "<", ">", "!", "(", ")", "[", "]", "."];
+const BLOCKED_KEYS = new Set(["__proto__", "prototype", "constructor"]);
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (/[0-9]/.test(ch) || (ch === "-" && /[0-9]/.test(src[i + 1] || ""))) {
+      const m = src.slice(i).match(/^-?\d+(\.\d+)?/);
+      tokens.push({ type: "literal", value: Number(m[0]) });
+      i += m[0].length;
+      continue;
+    }
+    if (ch === "\"" || ch === "'") {
+      let j = i + 1;
+      let value = "";
+      while (j < src.length && src[j] !== ch) {
+        if (src[j] === "\\" && j + 1 < src.length) j++;
+        value += src[j++];
+      }
+      if (j >= src.length) throw new Error(`Unterminated string in expression: ${src}`);
+      tokens.push({ type: "literal", value });
+      i = j + 1;
+      continue;
+    }
+    if (/[A-Za-z_$]/.test(ch)) {
+      const m = src.slice(i).match(/^[A-Za-z_$][A-Za-z0-9_$-]*/);
+      const word = m[0];
+      if (word === "true" || word === "false") tokens.push({ type: "literal", value: word === "true" });
+      else if (word === "null") tokens.push({ type: "literal", value: null });
+      else tokens.push({ type: "ident", value: word });
+      i += word.length;
+      continue;
+    }
+    const op = OPERATORS.find((o) => src.startsWith(o, i));
+    if (!op) throw new Error(`Unexpected "${ch}" in expression: ${src}`);
+    tokens.push({ type: "op", value: op });
+    i += op.length;
+  }
+  return tokens;
+}
+
+function getProp(obj, key) {
+  if (obj === null || obj === undefined) return undefined;
+  if (BLOCKED_KEYS.has(String(key))) return undefined;
+  if (key === "length" && (Array.isArray(obj) || typeof obj === "string")) return obj.length;
+  if (typeof obj !== "object") return undefined;
+  return Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined;
+}
+
+// recursive descent over the token list; evaluates while parsing
+function evaluateTokens(tokens, scope, src) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (v) => peek() && peek().type === "op" && peek().value === v;
+  const expectOp = (v) => {
+    if (!isOp(v)) throw new Error(`Expected "${v}" in expression: ${src}`);
+    pos++;
+  };
+
+  function primary() {
+    const tok = peek();
+    if (!tok) throw new Error(`Unexpected end of expression: ${src}`);
+    if (tok.type === "literal") { pos++; return tok.value; }
+    if (isOp("(")) {
+      pos++;
+      const v = or();
+      expectOp(")");
+      return v;
+    }
+    if (tok.type !== "ident") throw new Error(`Unexpected "${tok.value}" in expression: ${src}`);
+    pos++;
+    let value = getProp(scope, tok.value);
+    while (isOp(".") || isOp("[")) {
+      if (isOp(".")) {
+        pos++;
+        const name = peek();
+        if (!name || name.type !== "ident") throw new Error(`Expected a property name in expression: ${src}`);
+        pos++;
+        value = getProp(value, name.value);
+      } else {
+        pos++;
+        const key = peek();
+        if (!key || key.type !== "literal" || (typeof key.value !== "string" && typeof key.value !== "number")) {
+          throw new Error(`Expected an index in expression: ${src}`);
+        }
+        pos++;
+        expectOp("]");
+        value = getProp(value, key.value);
+      }
+    }
+    return value;
+  }
+
+  function unary() {
+    if (isOp("!")) { pos++; return !unary(); }
+    return primary();
+  }
+
+  function comparison() {
+    const left = unary();
+    const tok = peek();
+    if (!tok || tok.type !== "op" || !["===", "!==", "==", "!=", "<=", ">=", "<", ">"].includes(tok.value)) return left;
+    pos++;
+    const right = unary();
+    switch (tok.value) {
+      // == / != compare loosely only between null and undefined
+      case "==": return left === right || (left == null && right == null);
+      case "!=": return !(left === right || (left == null && right == null));
+      case "===": return left === right;
+      case "!==": return left !== right;
+      case "<": return left < right;
+      case "<=": return left <= right;
+      case ">": return left > right;
+      default: return left >= right;
+    }
+  }
+
+  function and() {
+    let v = comparison();
+    while (isOp("&&")) { pos++; const r = comparison(); v = v && r; }
+    return v;
+  }
+
+  function or() {
+    let v = and();
+    while (isOp("||")) { pos++; const r = and(); v = v || r; }
+    return v;
+  }
+
+  const value = or();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}" in expression: ${src}`);
+  return value;
+}
+
+/**
+ * evaluate - evaluate a bare expression (without `${}`) against a scope
+ */
+export function evaluate(expression, scope = {}) {
+  const src = String(expression).trim();
+  if (!src) throw new Error("Empty expression");
+  return evaluateTokens(tokenize(src), scope, src);
+}
+
+/**
+ * isPlanExpression - true if the inside of a `${...}` template reads from the plan scope
+ */
+export function isPlanExpression(expr) {
+  return SCOPE_RE.test(String(expr));
+}
+
+/**
+ * resolveExpressions - deep-copy a value with every plan `${...}` in its strings resolved
+ */
+export function resolveExpressions(value, scope = {}) {
+  if (typeof value === "string") {
+    const whole = value.match(WHOLE_RE);
+    if (whole && isPlanExpression(whole[1])) return evaluate(whole[1], scope);
+    if (!value.includes("${")) return value;
+    return value.replace(TEMPLATE_RE, (m, escaped, expr) => {
+      if (escaped) return escaped;
+      if (!isPlanExpression(expr)) return m;
+      const v = evaluate(expr, scope);
+      if (v === undefined || v === null) return "";
+      return typeof v === "object" ? JSON.stringify(v) : String(v);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => resolveExpressions(v, scope));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = resolveExpressions(v, scope);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * evaluateCondition - a `when` value: a boolean, a bare expression or a `${...}` template
+ */
+export function evaluateCondition(when, scope = {}) {
+  if (when === undefined || when === null) return true;
+  if (typeof when !== "string") return !!when;
+  return !!(when.includes("${") ? resolveExpressions(when, scope) : evaluate(when, scope));
+}
+
+/**
+ * resolveForEach - a `forEach` value (an array, a bare expression or a `${...}` template) as an array
+ */
+export function resolveForEach(forEach, scope = {}) {
+  const items = typeof forEach === "string"
+    ? (forEach.includes("${") ? resolveExpressions(forEach, scope) : evaluate(forEach, scope))
+    : forEach;
+  if (!Array.isArray(items)) throw new Error(`forEach did not resolve to an array (got ${items === null ? "null" : typeof items})`);
+  return items;
+}
+
+/**
+ * checkExpressions - throws on the first expression in a value that does not parse
+ */
+export function checkExpressions(value, { bare = false } = {}) {
+  if (typeof value === "string") {
+    if (value.includes("${")) resolveExpressions(value, {});
+    else if (bare && value.trim()) evaluate(value, {});
+  } else if (Array.isArray(value)) value.forEach((v) => checkExpressions(v, { bare }));
+  else if (value && typeof value === "object") Object.values(value).forEach((v) => checkExpressions(v, { bare }));
+}
+
+/**
+ * referencedSteps - the step ids read through `steps.<id>` in a value's expressions
+ * (including bare `when` / `forEach` expressions when passed as strings with bare = true)
+ */
+export function referencedSteps(value, { bare = false } = {}) {
+  const out = new Set();
+  const scan = (src) => {
+    let tokens;
+    try { tokens = tokenize(src); } catch { return; }
+    for (let i = 0; i + 2 < tokens.length; i++) {
+      const [a, dot, b] = [tokens[i], tokens[i + 1], tokens[i + 2]];
+      if (a.type === "ident" && a.value === "steps" && (i === 0 || !(tokens[i - 1].type === "op" && tokens[i - 1].value === "."))) {
+        if (dot.type === "op" && dot.value === "." && b.type === "ident") out.add(b.value);
+        else if (dot.type === "op" && dot.value === "[" && b.type === "literal") out.add(String(b.value));
+      }
+    }
+  };
+  const walk = (v) => {
+    if (typeof v === "string") {
+      if (v.includes("${")) for (const m of v.matchAll(TEMPLATE_RE)) { if (!m[1] && isPlanExpression(m[2])) scan(m[2]); }
+      else if (bare) scan(v);
+    } else if (Array.isArray(v)) v.forEach(walk);
+    else if (v && typeof v === "object") Object.values(v).forEach(walk);
+  };
+  walk(value);
+  return Array.from(out);
+}
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkExpressions, evaluate, evaluateCondition, isPlanExpression, referencedSteps, resolveExpressions, resolveForEach } from "./planExpressions.mjs";
+
+const scope = { steps: { scan: { status: "completed", result: { scanned: [{ path: "src/a.js" }, { path: "src/b.js" }], count: 2 } } }, item: "x", index: 1 };
+
+test("a whole-string template resolves to the raw value, embedded ones interpolate", () => {
+  assert.deepEqual(resolveExpressions({ files: "${steps.scan.result.scanned}" }, scope).files, scope.steps.scan.result.scanned);
+  assert.equal(resolveExpressions("first: ${steps.scan.result.scanned[0].path}", scope), "first: src/a.js");
+  assert.equal(resolveExpressions("${item}-${index}", scope), "x-1");
+  assert.equal(resolveExpressions("missing: ${steps.nope.result}", scope), "missing: ");
+});
+
+test("comparisons and boolean operators", () => {
+  assert.equal(evaluate("steps.scan.result.count > 1 && steps.scan.status == \"completed\"", scope), true);
+  assert.equal(evaluate("!(steps.scan.result.scanned.length >= 3) || false", scope), true);
+  assert.equal(evaluate("steps.nope == null", scope), true);
+  assert.equal(evaluate("1 == \"1\"", scope), false);
+});
+
+test("prototype keys and function calls are not reachable", () => {
+  assert.equal(evaluate("steps.__proto__", scope), undefined);
+  assert.equal(evaluate("steps.scan.constructor", scope), undefined);
+  assert.throws(() => evaluate("steps.scan.result.toString()", scope), /Unexpected/);
+});
+
+test("when conditions", () => {
+  assert.equal(evaluateCondition(undefined, scope), true);
+  assert.equal(evaluateCondition(false, scope), false);
+  assert.equal(evaluateCondition("steps.scan.result.count > 5", scope), false);
+  assert.equal(evaluateCondition("${steps.scan.result.count}", scope), true);
+});
+
+test("forEach must resolve to an array", () => {
+  assert.equal(resolveForEach("steps.scan.result.scanned", scope).length, 2);
+  assert.deepEqual(resolveForEach([1, 2], scope), [1, 2]);
+  assert.throws(() => resolveForEach("steps.scan.result.count", scope), /did not resolve to an array/);
+});
+
+test("checkExpressions and referencedSteps", () => {
+  assert.throws(() => checkExpressions({ a: "${steps.scan.result[}" }), /Expected an index/);
+  assert.throws(() => checkExpressions(["'open"], { bare: true }), /Unterminated string/);
+  assert.doesNotThrow(() => checkExpressions({ a: "plain text" }));
+  assert.deepEqual(referencedSteps({ a: "${steps.scan.result}", b: "${steps[\"lint\"].status}" }).sort(), ["lint", "scan"]);
+  assert.deepEqual(referencedSteps("steps.scan.result.count > 0 && item.steps", { bare: true }), ["scan"]);
+});
+
+test("template literals in code pass through unchanged", () => {
+  const patch = "const s = `hi ${name}`;\nconst t = `${a + b}`;\nconst u = `${fn({ x: 1 })}`;";
+  assert.equal(resolveExpressions({ patch }, scope).patch, patch);
+  assert.equal(resolveExpressions("${name}", scope), "${name}");
+  assert.doesNotThrow(() => checkExpressions({ patch }));
+  assert.deepEqual(referencedSteps({ patch }), []);
+  assert.equal(resolveExpressions("`${steps.scan.result.count} files: ${name}`", scope), "`2 files: ${name}`");
+});
+
+test("$${ is a literal ${ and only steps / item / index start an expression", () => {
+  assert.equal(resolveExpressions("log(`${index}: $${item.name}`)", scope), "log(`1: ${item.name}`)");
+  assert.deepEqual(referencedSteps("$${steps.scan.result}"), []);
+  assert.equal(isPlanExpression("!(steps.scan.ok)"), true);
+  assert.equal(isPlanExpression("items.length"), false);
+  assert.equal(isPlanExpression("index"), true);
+});
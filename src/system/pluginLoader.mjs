@@ -0,0 +1,180 @@
+// src/system/pluginLoader.mjs
+/**
+ * PluginLoader - registers plugin modules as MCP tools.
+ *
+ * Plugins are discovered in the bundled src/plugins directory and in <project>/.kryonex/plugins.
+ * A plugin exports { name, description?, schema?, outputSchema?, annotations?, handler } either as
+ * its default export or as named exports. Modules that fail to import or export something else
+ * (e.g. the interactive ftp/git/ssh/vercel helpers) are skipped with a warning.
+ *
+ * Per-plugin config comes from the server config: { "plugins": { "<name>": { "enabled": false } } }.
+ * Tools from src/tools win on name conflicts; between plugins the first one loaded wins.
+ *
+ * Project plugins run code from the workspace, so they are off unless the server config opts in
+ * ("projectPlugins": true, or a list of the roots allowed to load them). They are not added to the
+ * shared tool map: each root keeps its own, and toolsFor(roots) gives a session the shared tools plus
+ * the project plugins of its own roots.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { attachToolMeta } from "./toolLoader.mjs";
+
+const PLUGIN_EXTENSIONS = [".mjs", ".js"];
+const NAME_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * validatePlugin - pick the plugin definition out of a module namespace; returns { def } or { error }
+ */
+export function validatePlugin(mod) {
+  const candidate = mod && mod.default && typeof mod.default === "object" && typeof mod.default.handler === "function"
+    ? mod.default
+    : mod;
+  if (!candidate || typeof candidate !== "object") return { error: "module has no exports" };
+  const { name, description, schema, outputSchema, annotations, handler } = candidate;
+
+  if (typeof handler !== "function") return { error: "missing handler function" };
+  if (typeof name !== "string" || !NAME_RE.test(name)) return { error: `invalid name ${JSON.stringify(name)}` };
+  if (description !== undefined && typeof description !== "string") return { error: "description must be a string" };
+  if (schema !== undefined && (!schema || typeof schema !== "object" || schema.type !== "object")) {
+    return { error: "schema must be a JSON schema with type \"object\"" };
+  }
+  if (outputSchema !== undefined && (!outputSchema || typeof outputSchema !== "object")) return { error: "outputSchema must be an object" };
+  if (annotations !== undefined && (!annotations || typeof annotations !== "object")) return { error: "annotations must be an object" };
+
+  return { def: { name, description, schema, outputSchema, annotations, handler } };
+}
+
+class PluginLoader {
+  /**
+   * @param {object} opts
+   * @param {Record<string, any>} opts.toolHandlers shared name -> handler map (mutated in place)
+   * @param {Record<string, { enabled?: boolean }>} [opts.config] per-plugin config keyed by plugin name
+   * @param {boolean | string[]} [opts.projectPlugins] load <root>/.kryonex/plugins for every root (true) or the listed ones
+   * @param {(m: string, ...a: any[]) => void} [opts.log]
+   * @param {(m: string, ...a: any[]) => void} [opts.warn]
+   */
+  constructor({ toolHandlers, config = {}, projectPlugins = false, log = console.error, warn = console.error } = {}) {
+    this.toolHandlers = toolHandlers;
+    this.config = config || {};
+    this.projectPlugins = projectPlugins;
+    this.log = log;
+    this.warn = warn;
+    this.plugins = new Map(); // file -> { name, file, source, status, error? }
+    this.owned = new Set(); // tool names registered by this loader in the shared map
+    this.projectTools = new Map(); // resolved root -> name -> handler
+    this.dirs = new Set();
+  }
+
+  /**
+   * allowsProject - true if the server config lets projectRoot load its own plugins
+   */
+  allowsProject(projectRoot) {
+    const root = path.resolve(projectRoot);
+    if (this.projectPlugins === true) return true;
+    return Array.isArray(this.projectPlugins) && this.projectPlugins.some((r) => typeof r === "string" && path.resolve(r) === root);
+  }
+
+  _isEnabled(name) {
+    const entry = this.config[name];
+    return !(entry === false || (entry && entry.enabled === false));
+  }
+
+  _record(file, info) {
+    this.plugins.set(file, { file, ...info });
+    return info.status === "loaded";
+  }
+
+  /**
+   * loadFile - import, validate and register one plugin file; returns true if it was registered.
+   * tools is the map to register into (the shared one by default, a root's own for project plugins).
+   */
+  async loadFile(file, { source = "builtin", tools = this.toolHandlers, root = null } = {}) {
+    let mod;
+    try {
+      mod = await import(pathToFileURL(file).href);
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      this.warn(`Failed to import plugin ${file}: ${msg}`);
+      return this._record(file, { name: null, source, root, status: "failed", error: msg });
+    }
+
+    const { def, error } = validatePlugin(mod);
+    if (error) {
+      this.warn(`Plugin ${file} skipped: ${error}`);
+      return this._record(file, { name: null, source, root, status: "invalid", error });
+    }
+    if (!this._isEnabled(def.name)) {
+      this.log(`Plugin ${def.name} disabled by config`);
+      return this._record(file, { name: def.name, source, root, status: "disabled" });
+    }
+    if (def.name in this.toolHandlers || def.name in tools) {
+      const owner = this.owned.has(def.name) || !(def.name in this.toolHandlers) ? "another plugin" : "a tool";
+      this.warn(`Plugin ${def.name} (${file}) skipped: name already registered by ${owner}`);
+      return this._record(file, { name: def.name, source, root, status: "conflict" });
+    }
+
+    tools[def.name] = attachToolMeta(def);
+    if (tools === this.toolHandlers) this.owned.add(def.name);
+    this.log(`Loaded plugin ${def.name} (${root ? `${source}, ${root}` : source})`);
+    return this._record(file, { name: def.name, source, root, status: "loaded" });
+  }
+
+  /**
+   * loadDir - load every plugin file in a directory once; a missing directory is not an error.
+   * Returns the number of plugins registered.
+   */
+  async loadDir(dir, { source = "builtin", tools = this.toolHandlers, root = null } = {}) {
+    const resolved = path.resolve(dir);
+    if (this.dirs.has(resolved)) return 0;
+    this.dirs.add(resolved);
+
+    let entries;
+    try {
+      entries = await fs.readdir(resolved);
+    } catch (err) {
+      if (err && err.code !== "ENOENT") this.warn("plugins directory read failed:", resolved, err.message || String(err));
+      return 0;
+    }
+
+    let loaded = 0;
+    for (const f of entries.sort()) {
+      if (!PLUGIN_EXTENSIONS.includes(path.extname(f))) continue;
+      if (await this.loadFile(path.join(resolved, f), { source, tools, root })) loaded++;
+    }
+    return loaded;
+  }
+
+  /**
+   * loadProject - load <projectRoot>/.kryonex/plugins into the root's own tool map;
+   * resolves 0 without touching the directory when the root is not allowed to
+   */
+  async loadProject(projectRoot) {
+    if (!this.allowsProject(projectRoot)) return 0;
+    const root = path.resolve(projectRoot);
+    if (!this.projectTools.has(root)) this.projectTools.set(root, {});
+    return this.loadDir(path.join(root, ".kryonex", "plugins"), { source: "project", tools: this.projectTools.get(root), root });
+  }
+
+  /**
+   * toolsFor - the tools a session with these roots can see: the shared map, plus the project
+   * plugins of its roots (shared tools win, then the first root). The shared map itself when no
+   * root has project plugins.
+   */
+  toolsFor(roots = []) {
+    const scoped = [].concat(roots || []).map((r) => this.projectTools.get(path.resolve(r))).filter((t) => t && Object.keys(t).length);
+    if (!scoped.length) return this.toolHandlers;
+    const out = { ...this.toolHandlers };
+    for (const tools of scoped) {
+      for (const [name, handler] of Object.entries(tools)) if (!(name in out)) out[name] = handler;
+    }
+    return out;
+  }
+
+  list() {
+    return Array.from(this.plugins.values());
+  }
+}
+
+export default PluginLoader;
@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import PluginLoader, { validatePlugin } from "./pluginLoader.mjs";
+
+const quiet = () => {};
+
+async function projectWithPlugin(name) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "kryonex-plugins-"));
+  const dir = path.join(root, ".kryonex", "plugins");
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${name}.mjs`), `export default { name: ${JSON.stringify(name)}, handler: async () => ({ ok: true }) };\n`);
+  return root;
+}
+
+test("validatePlugin rejects modules without a handler or with a bad name", () => {
+  assert.match(validatePlugin({ name: "x" }).error, /handler/);
+  assert.match(validatePlugin({ name: "bad name", handler() {} }).error, /invalid name/);
+  assert.equal(validatePlugin({ default: { name: "ok", handler() {} } }).def.name, "ok");
+});
+
+test("project plugins are not loaded unless the config opts in", async (t) => {
+  const root = await projectWithPlugin("proj_tool");
+  t.after(() => fs.rm(root, { recursive: true, force: true }));
+  const toolHandlers = {};
+  const loader = new PluginLoader({ toolHandlers, log: quiet, warn: quiet });
+  assert.equal(await loader.loadProject(root), 0);
+  assert.equal("proj_tool" in loader.toolsFor([root]), false);
+
+  const other = new PluginLoader({ toolHandlers, projectPlugins: ["/somewhere/else"], log: quiet, warn: quiet });
+  assert.equal(await other.loadProject(root), 0);
+});
+
+test("project plugins are only visible to sessions with their root", async (t) => {
+  const root = await projectWithPlugin("proj_tool");
+  const otherRoot = await fs.mkdtemp(path.join(os.tmpdir(), "kryonex-plugins-"));
+  t.after(() => Promise.all([root, otherRoot].map((d) => fs.rm(d, { recursive: true, force: true }))));
+  const toolHandlers = { shared_tool: () => {} };
+  const loader = new PluginLoader({ toolHandlers, projectPlugins: [root], log: quiet, warn: quiet });
+
+  assert.equal(await loader.loadProject(root), 1);
+  assert.equal("proj_tool" in toolHandlers, false);
+  assert.deepEqual(Object.keys(loader.toolsFor([root])).sort(), ["proj_tool", "shared_tool"]);
+  assert.equal(loader.toolsFor([otherRoot]), toolHandlers);
+  assert.equal(loader.list()[0].root, path.resolve(root));
+});
+
+test("shared tools win over a project plugin with the same name", async (t) => {
+  const root = await projectWithPlugin("shared_tool");
+  t.after(() => fs.rm(root, { recursive: true, force: true }));
+  const shared = () => {};
+  const loader = new PluginLoader({ toolHandlers: { shared_tool: shared }, projectPlugins: true, log: quiet, warn: quiet });
+
+  assert.equal(await loader.loadProject(root), 0);
+  assert.equal(loader.list()[0].status, "conflict");
+  assert.equal(loader.toolsFor([root]).shared_tool, shared);
+});
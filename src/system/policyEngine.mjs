@@ -0,0 +1,270 @@
+// src/system/policyEngine.mjs
+/**
+ * PolicyEngine - declarative allow / deny / confirm rules for tool calls, read from
+ * .kryonex/policy.yaml in the server root and in the project root (server rules come first):
+ *
+ *   default: allow            # when no rule matches (allow | deny | confirm)
+ *   rules:
+ *     - id: patch-src-only
+ *       tool: code_patch      # name, glob (db_*) or list
+ *       paths: ["src/**"]     # every path argument must resolve inside the project and match
+ *       effect: allow
+ *     - id: patch-elsewhere
+ *       tool: code_patch
+ *       effect: deny
+ *       reason: code_patch may only touch src/**
+ *     - id: select-only
+ *       tool: db_tool
+ *       args: { action: execute_query, query: { not: { regex: "^\\s*select\\b", flags: i } } }
+ *       effect: deny
+ *
+ * The first matching rule decides. Argument matchers are a value (equal), a list (one of),
+ * { regex, flags }, { glob }, { exists } or { not: matcher }; keys may be dotted paths.
+ * Path arguments default to file, filePath, path, relativePath and startPath ("pathArgs" overrides).
+ * They are resolved against the base the tool itself uses: a root override argument (root,
+ * projectRoot, workspaceRoot; "baseArgs" overrides) resolved against the project root, else the
+ * project root. An allow rule needs every resolved path to match, deny and confirm rules any.
+ * A call whose root override points outside the project needs confirmation even when a rule or
+ * the default allows it.
+ *
+ * "confirm" asks the client through context.confirm(message) and is denied when it cannot ask.
+ * Every decision is emitted as a persisted policy.decision event with the rule that matched and the
+ * path and root override arguments it looked at; the other args (queries, patches...) are left out.
+ * A policy file that does not parse denies every call until it is fixed.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import YAML from "yaml";
+
+const EFFECTS = ["allow", "deny", "confirm"];
+const DEFAULT_PATH_ARGS = ["file", "filePath", "path", "relativePath", "startPath"];
+const DEFAULT_BASE_ARGS = ["root", "projectRoot", "workspaceRoot"];
+
+export function policyDeniedError(toolName, decision) {
+  const err = new Error(`Tool ${toolName} denied by policy${decision.ruleId ? ` (rule ${decision.ruleId})` : ""}: ${decision.reason}`);
+  err.name = "ToolPolicyError";
+  err.decision = decision;
+  return err;
+}
+
+export function isPolicyDeniedError(e) {
+  return !!e && e.name === "ToolPolicyError";
+}
+
+// glob over "/"-separated paths: ** any depth, * within a segment, ? one character
+export function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      if (glob[i + 2] === "/") { re += "(?:.*/)?"; i += 2; } else { re += ".*"; i++; }
+    } else if (ch === "*") re += "[^/]*";
+    else if (ch === "?") re += "[^/]";
+    else re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${re}$`);
+}
+
+const matchGlob = (glob, value) => globToRegExp(String(glob)).test(String(value));
+
+function getArg(args, key) {
+  return String(key).split(".").reduce((v, k) => (v && typeof v === "object" && Object.prototype.hasOwnProperty.call(v, k) ? v[k] : undefined), args);
+}
+
+function matchValue(matcher, value) {
+  if (Array.isArray(matcher)) return matcher.some((m) => matchValue(m, value));
+  if (matcher && typeof matcher === "object") {
+    if ("not" in matcher) return !matchValue(matcher.not, value);
+    if ("exists" in matcher) return (value !== undefined) === !!matcher.exists;
+    if ("regex" in matcher) return typeof value === "string" && new RegExp(matcher.regex, matcher.flags || "").test(value);
+    if ("glob" in matcher) return typeof value === "string" && matchGlob(matcher.glob, value);
+    return false;
+  }
+  return value === matcher;
+}
+
+// "/"-separated path of abs relative to root, or null when it is outside root
+function insideRoot(root, abs) {
+  const rel = path.relative(root, abs).split(path.sep).join("/");
+  return rel.startsWith("..") || path.isAbsolute(rel) ? null : rel || ".";
+}
+
+// the directories a call's paths are relative to: its root override arguments, else the project root
+function baseDirs(keys, args, root) {
+  const bases = [].concat(keys).map((key) => getArg(args, key)).filter((v) => typeof v === "string" && v);
+  return bases.length ? bases.map((b) => path.resolve(root, b)) : [root];
+}
+
+// the root override arguments that point outside the project
+function escapingBases(keys, args, root) {
+  return [].concat(keys).filter((key) => {
+    const v = getArg(args, key);
+    return typeof v === "string" && v && insideRoot(root, path.resolve(root, v)) === null;
+  });
+}
+
+// { key: value } for the path / root override arguments a call has (what a decision records instead of the args)
+function evaluatedArgs(keys, args) {
+  const out = {};
+  for (const key of keys) {
+    const v = getArg(args, key);
+    if (typeof v === "string" || (Array.isArray(v) && v.every((p) => typeof p === "string"))) out[key] = v;
+  }
+  return out;
+}
+
+// path arguments, resolved against each base, relative to the project root; null when one resolves outside it
+function relativePaths(rule, args, root) {
+  const bases = baseDirs(rule.baseArgs || DEFAULT_BASE_ARGS, args, root);
+  const out = [];
+  for (const key of [].concat(rule.pathArgs || DEFAULT_PATH_ARGS)) {
+    const value = getArg(args, key);
+    for (const p of [].concat(value ?? [])) {
+      if (typeof p !== "string") continue;
+      for (const base of bases) {
+        const rel = insideRoot(root, path.resolve(base, p));
+        if (rel === null) return null;
+        out.push(rel);
+      }
+    }
+  }
+  return out;
+}
+
+function ruleMatches(rule, toolName, args, root) {
+  if (rule.tool !== undefined && ![].concat(rule.tool).some((t) => matchGlob(t, toolName))) return false;
+  for (const [key, matcher] of Object.entries(rule.args || {})) {
+    if (!matchValue(matcher, getArg(args, key))) return false;
+  }
+  if (rule.paths) {
+    const rels = relativePaths(rule, args, root);
+    if (!rels || !rels.length) return false;
+    const globs = [].concat(rule.paths);
+    const matches = (rel) => globs.some((g) => matchGlob(g, rel));
+    // allowing takes every path to match; denying or confirming any of them
+    if (rule.effect === "allow" ? !rels.every(matches) : !rels.some(matches)) return false;
+  }
+  return true;
+}
+
+/**
+ * parsePolicy - { default, rules } from YAML text; throws on an invalid file
+ */
+export function parsePolicy(text, source = "policy") {
+  const doc = YAML.parse(text) || {};
+  if (typeof doc !== "object" || Array.isArray(doc)) throw new Error(`${source}: expected a mapping with "rules"`);
+  const fallback = doc.default ?? "allow";
+  if (!EFFECTS.includes(fallback)) throw new Error(`${source}: default must be one of ${EFFECTS.join(", ")}`);
+  if (doc.rules !== undefined && !Array.isArray(doc.rules)) throw new Error(`${source}: rules must be a list`);
+  const rules = (doc.rules || []).map((r, i) => {
+    if (!r || typeof r !== "object") throw new Error(`${source}: rules[${i}] must be a mapping`);
+    if (!EFFECTS.includes(r.effect)) throw new Error(`${source}: rules[${i}].effect must be one of ${EFFECTS.join(", ")}`);
+    for (const [key, m] of Object.entries(r.args || {})) {
+      if (m && typeof m === "object" && "regex" in m) {
+        try { new RegExp(m.regex, m.flags || ""); } catch (e) { throw new Error(`${source}: rules[${i}].args.${key}: ${e instanceof Error ? e.message : String(e)}`); }
+      }
+    }
+    return { ...r, id: r.id || `${source}#${i}` };
+  });
+  return { default: fallback, rules };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.baseDir] server root; its policy file is checked before the project's
+ * @param {string} [opts.file] policy path relative to a root
+ * @param {import('./eventBus.mjs').default} [opts.eventBus]
+ * @param {(m: string, ...a: any[]) => void} [opts.warn]
+ */
+export default function createPolicyEngine({ baseDir = null, file = ".kryonex/policy.yaml", eventBus = null, warn = console.error } = {}) {
+  const cache = new Map(); // policy path -> { mtimeMs, policy, error }
+
+  async function load(root) {
+    const p = path.resolve(root, file);
+    let stat;
+    try { stat = await fs.stat(p); } catch { cache.delete(p); return null; }
+    const hit = cache.get(p);
+    if (hit && hit.mtimeMs === stat.mtimeMs) return hit;
+    const entry = { path: p, mtimeMs: stat.mtimeMs, policy: null, error: null };
+    try {
+      entry.policy = parsePolicy(await fs.readFile(p, "utf8"), p);
+    } catch (e) {
+      entry.error = e instanceof Error ? e.message : String(e);
+      warn(`[policy] ${entry.error}; denying all tool calls until it is fixed`);
+    }
+    cache.set(p, entry);
+    return entry;
+  }
+
+  async function record(decision) {
+    if (eventBus) await eventBus.emitPersisted("policy.decision", decision);
+  }
+
+  return {
+    /**
+     * evaluate - { effect, ruleId, reason, source, paths } for a call, or null when no policy file applies
+     */
+    async evaluate({ toolName, args = {}, context = {} } = {}) {
+      // the context root (picked from the client roots) so args cannot point the lookup at another policy
+      const root = context?.projectRoot || args?.projectRoot || baseDir || process.cwd();
+      const roots = baseDir && path.resolve(baseDir) !== path.resolve(root) ? [baseDir, root] : [root];
+      const loaded = (await Promise.all(roots.map(load))).filter(Boolean);
+      if (!loaded.length) return null;
+
+      const broken = loaded.find((l) => l.error);
+      if (broken) return { effect: "deny", ruleId: null, reason: `policy file is invalid: ${broken.error}`, source: broken.path };
+
+      let decision = null;
+      let matched = null;
+      for (const { policy, path: source } of loaded) {
+        matched = policy.rules.find((r) => ruleMatches(r, toolName, args, root)) || null;
+        if (matched) {
+          decision = { effect: matched.effect, ruleId: matched.id, reason: matched.reason || `${matched.effect} by rule ${matched.id}`, message: matched.message || null, source };
+          break;
+        }
+      }
+      if (!decision) {
+        // the project's default wins over the server's
+        const last = loaded[loaded.length - 1];
+        decision = { effect: last.policy.default, ruleId: null, reason: `no rule matched (default ${last.policy.default})`, source: last.path };
+      }
+
+      // path rules are only meaningful inside the project, so a root override pointing elsewhere is never allowed silently
+      const baseKeys = new Set([...DEFAULT_BASE_ARGS, ...loaded.flatMap(({ policy }) => policy.rules.flatMap((r) => [].concat(r.baseArgs || [])))]);
+      const escaping = decision.effect === "allow" ? escapingBases([...baseKeys], args, root) : [];
+      if (escaping.length) {
+        decision = { ...decision, effect: "confirm", reason: `${escaping.join(", ")} points outside the project`, message: `Allow ${toolName} outside the project (${escaping.map((k) => `${k}: ${getArg(args, k)}`).join(", ")})?` };
+      }
+      const pathKeys = [].concat((matched && matched.pathArgs) || DEFAULT_PATH_ARGS);
+      return { ...decision, paths: evaluatedArgs([...new Set([...pathKeys, ...baseKeys])], args) };
+    },
+
+    /**
+     * check - evaluate, ask for confirmation when needed, record the decision;
+     * resolves { allowed, decision } (decision is null when no policy applies)
+     */
+    async check({ toolName, args = {}, context = {} } = {}) {
+      const d = await this.evaluate({ toolName, args, context });
+      if (!d) return { allowed: true, decision: null };
+
+      let allowed = d.effect === "allow";
+      let confirmed;
+      if (d.effect === "confirm") {
+        const message = d.message || `Allow ${toolName} with ${JSON.stringify(args).slice(0, 500)}? (policy rule ${d.ruleId})`;
+        if (typeof context?.confirm === "function") {
+          try { confirmed = !!(await context.confirm(message, { toolName, args, ruleId: d.ruleId })); } catch (e) {
+            warn(`[policy] confirmation for ${toolName} failed:`, e instanceof Error ? e.message : String(e));
+            confirmed = false;
+          }
+        } else confirmed = false;
+        allowed = confirmed;
+        if (!confirmed) d.reason = typeof context?.confirm === "function" ? "not confirmed" : "needs confirmation and the client cannot confirm";
+      }
+
+      const decision = { toolName, effect: d.effect, allowed, ...(confirmed !== undefined ? { confirmed } : {}), ruleId: d.ruleId, reason: d.reason, source: d.source, projectRoot: context?.projectRoot || null, paths: d.paths || {}, ts: new Date().toISOString() };
+      await record(decision).catch(() => {});
+      return { allowed, decision };
+    },
+  };
+}
@@ -0,0 +1,151 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import createPolicyEngine, { globToRegExp, isPolicyDeniedError, parsePolicy, policyDeniedError } from "./policyEngine.mjs";
+
+const POLICY = `
+default: allow
+rules:
+  - id: patch-src
+    tool: code_patch_ast
+    paths: ["src/**"]
+    effect: allow
+  - id: patch-elsewhere
+    tool: code_patch_ast
+    effect: deny
+  - id: no-secrets
+    tool: read_file
+    paths: ["secrets/**"]
+    effect: deny
+  - id: confirm-fix
+    tool: auto_fix_*
+    effect: confirm
+  - id: select-only
+    tool: db_tool
+    args: { action: execute_query, query: { not: { regex: "^\\\\s*select\\\\b", flags: i } } }
+    effect: deny
+`;
+
+async function withProject(policyText, fn) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "policy-test-"));
+  try {
+    await fs.mkdir(path.join(root, ".kryonex"), { recursive: true });
+    await fs.writeFile(path.join(root, ".kryonex", "policy.yaml"), policyText);
+    const events = [];
+    const eventBus = { emitPersisted: async (name, payload) => { events.push({ name, payload }); } };
+    const engine = createPolicyEngine({ eventBus, warn: () => {} });
+    await fn({ root, engine, events, context: { projectRoot: root } });
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+}
+
+test("globs", () => {
+  assert.ok(globToRegExp("src/**").test("src/a/b.js"));
+  assert.ok(globToRegExp("src/**/*.js").test("src/a.js"));
+  assert.ok(!globToRegExp("src/*.js").test("src/a/b.js"));
+  assert.ok(globToRegExp("db_?ool").test("db_tool"));
+});
+
+test("parsePolicy rejects bad effects and regexes", () => {
+  assert.throws(() => parsePolicy("rules: [{ effect: maybe }]"), /effect must be one of/);
+  assert.throws(() => parsePolicy("default: sometimes"), /default must be one of/);
+  assert.throws(() => parsePolicy("rules: [{ effect: deny, args: { q: { regex: \"(\" } } }]"), /rules\[0\]\.args\.q/);
+  assert.equal(parsePolicy("rules: [{ effect: deny }]", "p").rules[0].id, "p#0");
+});
+
+test("allow, deny and argument rules", async () => {
+  await withProject(POLICY, async ({ engine, context }) => {
+    assert.equal((await engine.evaluate({ toolName: "code_patch_ast", args: { file: "src/a.js" }, context })).ruleId, "patch-src");
+    assert.equal((await engine.evaluate({ toolName: "code_patch_ast", args: { file: "lib/a.js" }, context })).effect, "deny");
+    assert.equal((await engine.evaluate({ toolName: "code_patch_ast", args: { file: "../outside.js" }, context })).effect, "deny");
+    assert.equal((await engine.evaluate({ toolName: "read_file", args: { path: "secrets/key" }, context })).ruleId, "no-secrets");
+    assert.equal((await engine.evaluate({ toolName: "db_tool", args: { action: "execute_query", query: "DROP TABLE x" }, context })).ruleId, "select-only");
+    assert.equal((await engine.evaluate({ toolName: "db_tool", args: { action: "execute_query", query: " select 1" }, context })).ruleId, null);
+  });
+});
+
+test("paths are resolved against the tool's root override", async () => {
+  await withProject(POLICY, async ({ engine, context }) => {
+    // the reported bypass: the file looks like src/** but the tool patches <root>/../../etc/src/a.js
+    const escaped = await engine.evaluate({ toolName: "code_patch_ast", args: { file: "src/a.js", root: "../../etc" }, context });
+    assert.equal(escaped.effect, "deny");
+    // an override inside the project is the base of the file
+    assert.equal((await engine.evaluate({ toolName: "code_patch_ast", args: { file: "a.js", root: "src" }, context })).ruleId, "patch-src");
+    assert.equal((await engine.evaluate({ toolName: "code_patch_ast", args: { file: "src/a.js", root: "lib" }, context })).effect, "deny");
+    // a deny rule cannot be dodged by moving the base
+    assert.equal((await engine.evaluate({ toolName: "read_file", args: { path: "key", root: "secrets" }, context })).ruleId, "no-secrets");
+  });
+});
+
+test("a root override outside the project needs confirmation even where the default allows", async () => {
+  await withProject(POLICY, async ({ engine, context }) => {
+    const d = await engine.evaluate({ toolName: "list_files", args: { startPath: ".", projectRoot: "/" }, context });
+    assert.equal(d.effect, "confirm");
+    assert.match(d.reason, /projectRoot points outside the project/);
+    assert.equal((await engine.evaluate({ toolName: "list_files", args: { startPath: "." }, context })).effect, "allow");
+  });
+});
+
+test("confirm asks the client and is denied when it cannot ask or the user declines", async () => {
+  await withProject(POLICY, async ({ engine, context, events }) => {
+    const asked = [];
+    const yes = await engine.check({ toolName: "auto_fix_dependencies", args: {}, context: { ...context, confirm: async (m) => { asked.push(m); return true; } } });
+    assert.deepEqual([yes.allowed, yes.decision.confirmed], [true, true]);
+    assert.equal(asked.length, 1);
+
+    const no = await engine.check({ toolName: "auto_fix_dependencies", args: {}, context: { ...context, confirm: async () => false } });
+    assert.equal(no.allowed, false);
+    assert.equal(no.decision.reason, "not confirmed");
+
+    const cannot = await engine.check({ toolName: "auto_fix_dependencies", args: {}, context });
+    assert.equal(cannot.allowed, false);
+    assert.match(cannot.decision.reason, /cannot confirm/);
+
+    const throws = await engine.check({ toolName: "auto_fix_dependencies", args: {}, context: { ...context, confirm: async () => { throw new Error("gone"); } } });
+    assert.equal(throws.allowed, false);
+
+    assert.equal(events.filter((e) => e.name === "policy.decision").length, 4);
+  });
+});
+
+test("a policy file that does not parse denies every call", async () => {
+  await withProject("rules: [{ effect: nope }]", async ({ engine, context }) => {
+    const { allowed, decision } = await engine.check({ toolName: "anything", args: {}, context });
+    assert.equal(allowed, false);
+    assert.match(decision.reason, /policy file is invalid/);
+  });
+});
+
+test("no policy file means no decision", async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "policy-test-"));
+  try {
+    const engine = createPolicyEngine();
+    assert.equal(await engine.evaluate({ toolName: "x", args: {}, context: { projectRoot: root } }), null);
+    assert.deepEqual(await engine.check({ toolName: "x", args: {}, context: { projectRoot: root } }), { allowed: true, decision: null });
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
+
+test("policyDeniedError names the rule", () => {
+  const err = policyDeniedError("db_tool", { ruleId: "select-only", reason: "deny by rule select-only" });
+  assert.ok(isPolicyDeniedError(err));
+  assert.match(err.message, /rule select-only/);
+});
+
+test("the stored decision records the path arguments, not the raw args", async () => {
+  await withProject(POLICY, async ({ engine, context, events }) => {
+    await engine.check({ toolName: "db_tool", args: { action: "execute_query", query: "delete from users where token = 'secret'" }, context });
+    await engine.check({ toolName: "code_patch_ast", args: { file: "src/a.js", patch: "password = 'hunter2'", root: "src" }, context });
+    const [deny, allow] = events.map((e) => e.payload);
+    assert.equal(deny.ruleId, "select-only");
+    assert.equal(deny.allowed, false);
+    assert.deepEqual(deny.paths, {});
+    assert.deepEqual(allow.paths, { file: "src/a.js", root: "src" });
+    assert.equal(JSON.stringify(events).includes("secret"), false);
+    assert.equal(JSON.stringify(events).includes("hunter2"), false);
+  });
+});
@@ -0,0 +1,192 @@
+// src/system/promptLibrary.mjs
+/**
+ * PromptLibrary - project-aware MCP prompts.
+ *
+ * Every prompt declares typed arguments, retrieves context through ragEngine.ragDeepContext
+ * and the semantic memory store, and returns the retrieved chunks as embedded resources
+ * following the instruction message.
+ */
+
+import path from "path";
+import { pathToFileURL } from "url";
+import ragEngine from "../utils/ragEngine.js";
+import fileUtils from "../utils/fileUtils.js";
+import { searchMemory } from "../controllers/semanticMemory/search.js";
+
+const MAX_FILE_CHARS = 20000;
+
+const COMMON_ARGS = [
+  { name: "topK", type: "number", description: "Number of semantic memory entries to include (default 5)" },
+];
+
+const PROMPTS = {
+  explain_file: {
+    description: "Explain a project file using retrieved project context",
+    arguments: [
+      { name: "relativePath", type: "string", required: true, description: "File path relative to the project root" },
+      { name: "focus", type: "string", description: "Aspect of the file to concentrate on" },
+    ],
+    query: (a) => `Explain the file ${a.relativePath}${a.focus ? ` focusing on ${a.focus}` : ""}`,
+    instructions: (a) => [
+      `Explain what \`${a.relativePath}\` does, how it fits into the project and what depends on it.`,
+      a.focus ? `Focus on: ${a.focus}.` : null,
+      "The file and related project context follow as resources.",
+    ],
+    includeFile: (a) => a.relativePath,
+  },
+
+  root_cause_stack_trace: {
+    description: "Find the root cause of a stack trace in this project",
+    arguments: [
+      { name: "stackTrace", type: "string", required: true, description: "The stack trace to analyse" },
+      { name: "error", type: "string", description: "Error message or observed behaviour" },
+    ],
+    query: (a) => `${a.error || ""}\n${a.stackTrace}`.trim(),
+    instructions: (a) => [
+      "Perform a root-cause analysis of the following failure in this project.",
+      a.error ? `Error: ${a.error}` : null,
+      "Stack trace:",
+      "```",
+      a.stackTrace,
+      "```",
+      "Identify the failing code path, the most likely root cause and a concrete fix. Related project context follows as resources.",
+    ],
+  },
+
+  plan_refactor: {
+    description: "Plan a refactor grounded in the current codebase",
+    arguments: [
+      { name: "goal", type: "string", required: true, description: "What the refactor should achieve" },
+      { name: "scope", type: "string", description: "Files, folders or modules in scope" },
+    ],
+    query: (a) => `${a.goal}${a.scope ? ` in ${a.scope}` : ""}`,
+    instructions: (a) => [
+      `Plan a refactor with the goal: ${a.goal}.`,
+      a.scope ? `Scope: ${a.scope}.` : null,
+      "List the affected files, the ordered steps, the risks and how to verify each step. Related project context follows as resources.",
+    ],
+  },
+
+  review_diff: {
+    description: "Review a diff against project conventions and context",
+    arguments: [
+      { name: "diff", type: "string", required: true, description: "Unified diff to review" },
+      { name: "focus", type: "string", description: "Review focus (e.g. security, performance)" },
+    ],
+    query: (a) => a.diff.slice(0, 2000),
+    instructions: (a) => [
+      "Review the following diff. Point out bugs, regressions and deviations from the surrounding code's conventions.",
+      a.focus ? `Focus on: ${a.focus}.` : null,
+      "```diff",
+      a.diff,
+      "```",
+      "Related project context follows as resources.",
+    ],
+  },
+};
+
+function coerceArgs(def, raw = {}) {
+  const out = {};
+  for (const arg of [...def.arguments, ...COMMON_ARGS]) {
+    const v = raw[arg.name];
+    if (v === undefined || v === null || v === "") {
+      if (arg.required) throw new Error(`Missing required argument: ${arg.name}`);
+      continue;
+    }
+    if (arg.type === "number") {
+      const n = Number(v);
+      if (!Number.isFinite(n)) throw new Error(`Argument ${arg.name} must be a number`);
+      out[arg.name] = n;
+    } else if (arg.type === "boolean") {
+      out[arg.name] = v === true || v === "true";
+    } else {
+      out[arg.name] = String(v);
+    }
+  }
+  return out;
+}
+
+function resourceMessage(uri, text, mimeType = "text/plain") {
+  return { role: "user", content: { type: "resource", resource: { uri, mimeType, text } } };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {typeof ragEngine} [opts.rag]
+ * @param {typeof searchMemory} [opts.memorySearch]
+ */
+export default function createPromptLibrary({ rag = ragEngine, memorySearch = searchMemory } = {}) {
+  async function retrieve(projectRoot, query, topK) {
+    let chunks = [];
+    let memories = [];
+    try {
+      const deep = await rag.ragDeepContext(projectRoot, query);
+      chunks = deep.context || [];
+    } catch (e) {
+      console.error("[promptLibrary] ragDeepContext failed", e);
+    }
+    try {
+      memories = await memorySearch({ projectRoot, query, topK }, { projectRoot });
+    } catch (e) {
+      console.error("[promptLibrary] memory search failed", e);
+    }
+    return { chunks, memories };
+  }
+
+  return {
+    name: "promptLibrary",
+
+    listPrompts() {
+      return Object.entries(PROMPTS).map(([name, def]) => ({
+        name,
+        description: def.description,
+        arguments: [...def.arguments, ...COMMON_ARGS].map((a) => ({
+          name: a.name,
+          description: `${a.description} (${a.type})`,
+          required: !!a.required,
+        })),
+      }));
+    },
+
+    has(name) {
+      return Object.prototype.hasOwnProperty.call(PROMPTS, name);
+    },
+
+    /**
+     * getPrompt - builds { description, messages } for a prompt; throws on bad arguments
+     */
+    async getPrompt(name, rawArgs = {}, context = {}) {
+      const def = PROMPTS[name];
+      if (!def) throw new Error(`Unknown prompt: ${name}`);
+      const args = coerceArgs(def, rawArgs);
+      const root = fileUtils.resolveProjectRoot(context.projectRoot || process.cwd());
+
+      const messages = [{
+        role: "user",
+        content: { type: "text", text: def.instructions(args).filter((l) => l !== null).join("\n") },
+      }];
+
+      const file = def.includeFile ? def.includeFile(args) : null;
+      if (file) {
+        const full = path.resolve(root, file);
+        if (!full.startsWith(root + path.sep)) throw new Error(`relativePath escapes project root: ${file}`);
+        if (!(await fileUtils.pathExists(full))) throw new Error(`File not found: ${file}`);
+        const content = await fileUtils.readFileAuto(full);
+        const text = typeof content === "string" ? content.slice(0, MAX_FILE_CHARS) : "[binary omitted]";
+        messages.push(resourceMessage(pathToFileURL(full).href, text));
+      }
+
+      const { chunks, memories } = await retrieve(root, def.query(args), args.topK || 5);
+      for (const c of chunks) {
+        if (file && c.file === file) continue;
+        const uri = `${pathToFileURL(path.join(root, c.file)).href}#chunk=${c.chunkIndex}`;
+        messages.push(resourceMessage(uri, c.text));
+      }
+      for (const m of memories) {
+        messages.push(resourceMessage(`kryonex://memory/${m.id}`, m.text));
+      }
+
+      return { description: def.description, messages };
+    },
+  };
+}
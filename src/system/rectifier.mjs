@@ -1,16 +1,252 @@
-export default function createRectifier({ ollamaTool = null } = {}) {
-  return {
-    async rectify({ toolName, args, context, reason } = {}) {
-      if (!ollamaTool || typeof ollamaTool.handler !== "function") return null;
-      try {
-        const prompt = `Rectifier: please propose corrected args JSON or {"rejected":true} for tool ${toolName}, reason: ${reason}, args: ${JSON.stringify(args)}`;
-        const resp = await ollamaTool.handler({ prompt, mode: "rectify" }, context);
-        if (!resp || !resp.text) return null;
-        try { return JSON.parse(resp.text); } catch (e) {
-          const m = resp.text.match(/\{[\s\S]*\}/); if (!m) return null;
-          return JSON.parse(m[0]);
+// src/system/rectifier.mjs
+/**
+ * Rectifier - repairs tool args that failed validation.
+ *
+ * A rule-based pass driven by the tool's JSON schema runs first:
+ *   - misspelled or differently cased argument names are renamed ("projectroot" -> "projectRoot", "flie" -> "file")
+ *   - values are coerced to the declared type ("5" -> 5, "true" -> true, 5 -> "5", "a" -> ["a"], '["a"]' -> ["a"])
+ *   - enum values are matched case-insensitively, then by edit distance ("Execute_Query" -> "execute_query", "fsat" -> "fast")
+ *   - missing properties with a default get it
+ *   - absolute paths (relativePath, filePath, file, path, startPath) inside the tool's base become relative
+ *     to it; the base is the call's root / projectRoot / workspaceRoot argument, else the workspace
+ * Ollama is only asked when the rule-based result still fails the schema (or there is no schema).
+ *
+ * rectify() resolves { args, source: "rules" | "llm", fixes, diff } or null, where diff lists
+ * { path, op: "add" | "remove" | "change", before?, after? } between the original and the new args.
+ */
+
+import path from "path";
+
+const PATH_KEYS = ["relativePath", "filePath", "file", "path", "startPath"];
+
+const normaliseName = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const BASE_KEYS = ["root", "projectRoot", "workspaceRoot"];
+
+// optimal string alignment distance: Levenshtein plus swapping two adjacent characters ("flie" -> "file" is 1)
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// the single candidate closest to value (same normalised form, else edit distance <= max(1, len/4)); null if ambiguous
+function closest(value, candidates) {
+  const n = normaliseName(value);
+  const same = candidates.filter((c) => normaliseName(c) === n);
+  if (same.length === 1) return same[0];
+  if (same.length > 1) return null;
+  const limit = Math.max(1, Math.floor(n.length / 4));
+  let best = null;
+  let bestDist = Infinity;
+  let tie = false;
+  for (const c of candidates) {
+    const d = editDistance(n, normaliseName(c));
+    if (d < bestDist) { best = c; bestDist = d; tie = false; } else if (d === bestDist) tie = true;
+  }
+  return best !== null && bestDist <= limit && !tie ? best : null;
+}
+
+const typesOf = (schema) => [].concat(schema && schema.type ? schema.type : []);
+
+function matchesType(value, type) {
+  switch (type) {
+    case "string": return typeof value === "string";
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "integer": return Number.isInteger(value);
+    case "boolean": return typeof value === "boolean";
+    case "array": return Array.isArray(value);
+    case "object": return !!value && typeof value === "object" && !Array.isArray(value);
+    case "null": return value === null;
+    default: return true;
+  }
+}
+
+const NO_VALUE = Symbol("none");
+
+function coerceTo(value, type) {
+  if (type === "number" || type === "integer") {
+    if (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))) {
+      const n = Number(value);
+      if (type === "number" || Number.isInteger(n)) return n;
+    }
+    if (typeof value === "boolean") return value ? 1 : 0;
+    if (type === "integer" && typeof value === "number" && Number.isFinite(value) && Math.round(value) === value) return value;
+    return NO_VALUE;
+  }
+  if (type === "boolean") {
+    const s = String(value).trim().toLowerCase();
+    if (["true", "yes", "1", "on"].includes(s)) return true;
+    if (["false", "no", "0", "off"].includes(s)) return false;
+    return NO_VALUE;
+  }
+  if (type === "string") {
+    return typeof value === "number" || typeof value === "boolean" ? String(value) : NO_VALUE;
+  }
+  if (type === "array") {
+    // a JSON array string, or a single scalar; objects are not guessed at
+    if (typeof value === "string" && value.trim().startsWith("[")) {
+      try { const parsed = JSON.parse(value); if (Array.isArray(parsed)) return parsed; } catch {}
+      return NO_VALUE;
+    }
+    return ["string", "number", "boolean"].includes(typeof value) ? [value] : NO_VALUE;
+  }
+  if (type === "object" && typeof value === "string" && value.trim().startsWith("{")) {
+    try { const parsed = JSON.parse(value); if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) return parsed; } catch {}
+  }
+  return NO_VALUE;
+}
+
+/**
+ * rectifyWithSchema - the rule-based pass; returns { args, fixes } (args is a new value)
+ * @param {any} schema
+ * @param {any} args
+ * @param {{ root?: string|null }} [opts] workspace root; absolute paths become relative to the
+ *   tool's base (a root / projectRoot / workspaceRoot arg resolved against it, else the root itself)
+ */
+export function rectifyWithSchema(schema, args, { root = null } = {}) {
+  const fixes = [];
+  let base = root;
+
+  function fix(value, s, at, key) {
+    if (!s || typeof s !== "object") return value;
+    const types = typesOf(s);
+
+    if (types.length && value !== undefined && !types.some((t) => matchesType(value, t))) {
+      for (const t of types) {
+        const coerced = coerceTo(value, t);
+        if (coerced === NO_VALUE) continue;
+        fixes.push(`${at}: coerced ${JSON.stringify(value)} to ${t}`);
+        value = coerced;
+        break;
+      }
+    }
+
+    if (Array.isArray(s.enum) && value !== undefined && !s.enum.includes(value)) {
+      const strings = s.enum.filter((e) => typeof e === "string");
+      const match = typeof value === "string" ? closest(value, strings) : null;
+      if (match !== null) {
+        fixes.push(`${at}: ${JSON.stringify(value)} -> ${JSON.stringify(match)}`);
+        value = match;
+      }
+    }
+
+    if (typeof value === "string" && base && PATH_KEYS.includes(key) && path.isAbsolute(value)) {
+      const rel = path.relative(base, value);
+      if (rel && !rel.startsWith("..") && !path.isAbsolute(rel)) {
+        const relative = rel.split(path.sep).join("/");
+        fixes.push(`${at}: made relative to ${base === root ? "the workspace" : base} (${relative})`);
+        value = relative;
+      }
+    }
+
+    if (Array.isArray(value) && s.items && typeof s.items === "object" && !Array.isArray(s.items)) {
+      value = value.map((v, i) => fix(v, s.items, `${at}[${i}]`, key));
+    }
+
+    if (value && typeof value === "object" && !Array.isArray(value) && s.properties) {
+      const props = Object.keys(s.properties);
+      const out = {};
+      for (const [k, v] of Object.entries(value)) {
+        if (k === "__proto__") continue;
+        let name = k;
+        if (!props.includes(k)) {
+          const match = closest(k, props);
+          if (match !== null && !(match in value) && !(match in out)) {
+            fixes.push(`${at ? `${at}.` : ""}${k}: renamed to ${match}`);
+            name = match;
+          }
         }
-      } catch (e) { console.error("[rectifier] failed", e); return null; }
+        out[name] = fix(v, s.properties[name], at ? `${at}.${name}` : name, name);
+      }
+      for (const p of props) {
+        if (out[p] === undefined && s.properties[p] && s.properties[p].default !== undefined) {
+          out[p] = structuredClone(s.properties[p].default);
+          fixes.push(`${at ? `${at}.` : ""}${p}: default ${JSON.stringify(out[p])}`);
+        }
+      }
+      value = out;
+    }
+    return value;
+  }
+
+  let input = args === undefined || args === null ? {} : args;
+  try { input = structuredClone(input); } catch {}
+  // paths are relative to the base the tool itself resolves them against
+  const override = input && typeof input === "object" ? BASE_KEYS.map((k) => input[k]).find((v) => typeof v === "string" && v) : null;
+  if (override) base = root ? path.resolve(root, override) : path.isAbsolute(override) ? override : null;
+  return { args: fix(input, schema, "", null), fixes };
+}
+
+/**
+ * diffArgs - { path, op, before?, after? } for every leaf that differs between two arg values
+ */
+export function diffArgs(before, after, at = "") {
+  const isObj = (v) => v && typeof v === "object";
+  if (isObj(before) && isObj(after) && Array.isArray(before) === Array.isArray(after)) {
+    const out = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const k of keys) {
+      const p = Array.isArray(before) ? `${at}[${k}]` : at ? `${at}.${k}` : k;
+      if (!(k in after)) out.push({ path: p, op: "remove", before: before[k] });
+      else if (!(k in before)) out.push({ path: p, op: "add", after: after[k] });
+      else out.push(...diffArgs(before[k], after[k], p));
+    }
+    return out;
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ path: at || "args", op: "change", before, after }];
+}
+
+/**
+ * @param {object} [opts]
+ * @param {any} [opts.ollamaTool]
+ * @param {any} [opts.validator] used to check the rule-based result (checkSchema)
+ * @param {boolean} [opts.llmFallback] ask Ollama when the rules are not enough (default true)
+ */
+export default function createRectifier({ ollamaTool = null, validator = null, llmFallback = true } = {}) {
+  async function askLlm({ toolName, args, context, reason, schema }) {
+    if (!llmFallback || !ollamaTool || typeof ollamaTool.handler !== "function") return null;
+    try {
+      const prompt = `Rectifier: please propose corrected args JSON or {"rejected":true} for tool ${toolName}, reason: ${reason}, args: ${JSON.stringify(args)}${schema ? `, schema: ${JSON.stringify(schema)}` : ""}`;
+      const resp = await ollamaTool.handler({ prompt, mode: "rectify" }, context);
+      if (!resp || !resp.text) return null;
+      let parsed;
+      try { parsed = JSON.parse(resp.text); } catch (e) {
+        const m = resp.text.match(/\{[\s\S]*\}/); if (!m) return null;
+        parsed = JSON.parse(m[0]);
+      }
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed) || parsed.rejected === true) return null;
+      // the model answers with either { args: {...} } or the args themselves
+      return parsed.args && typeof parsed.args === "object" ? parsed.args : parsed;
+    } catch (e) { console.error("[rectifier] failed", e); return null; }
+  }
+
+  return {
+    async rectify({ toolName, args, context, reason, schema = null } = {}) {
+      schema = schema || context?.toolHandlers?.[toolName]?.schema || null;
+      const root = context?.projectRoot || context?.workspaceFolder || null;
+      const original = args === undefined || args === null ? {} : args;
+
+      const ruled = schema ? rectifyWithSchema(schema, original, { root }) : { args: original, fixes: [] };
+      const passes = schema && validator && typeof validator.checkSchema === "function"
+        ? validator.checkSchema(toolName, schema, ruled.args).accepted
+        : ruled.fixes.length > 0;
+      if (ruled.fixes.length && passes) {
+        return { args: ruled.args, source: "rules", fixes: ruled.fixes, diff: diffArgs(original, ruled.args) };
+      }
+
+      const llmArgs = await askLlm({ toolName, args: ruled.args, context, reason, schema });
+      if (llmArgs) return { args: llmArgs, source: "llm", fixes: [], diff: diffArgs(original, llmArgs) };
+      // let the caller re-validate whatever the rules managed (filled defaults alone fix nothing)
+      const repaired = ruled.fixes.some((f) => !/: default /.test(f));
+      return repaired ? { args: ruled.args, source: "rules", fixes: ruled.fixes, diff: diffArgs(original, ruled.args) } : null;
     }
   };
 }
@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import createRectifier, { diffArgs, rectifyWithSchema } from "./rectifier.mjs";
+import createValidator from "./validator.mjs";
+
+const ROOT = path.resolve("/work/app");
+
+const schema = {
+  type: "object",
+  properties: {
+    file: { type: "string" },
+    root: { type: "string" },
+    mode: { type: "string", enum: ["fast", "thorough"] },
+    limit: { type: "integer", default: 10 },
+    tags: { type: "array", items: { type: "string" } },
+    force: { type: "boolean" },
+  },
+  required: ["file"],
+  additionalProperties: false,
+};
+
+test("transposed letters in names and enum values are fixed", () => {
+  assert.deepEqual(rectifyWithSchema(schema, { fiel: "a.js" }).args.file, "a.js");
+  assert.deepEqual(rectifyWithSchema(schema, { flie: "a.js" }).args.file, "a.js");
+  assert.equal(rectifyWithSchema(schema, { file: "a.js", mode: "fsat" }).args.mode, "fast");
+  assert.equal(rectifyWithSchema(schema, { file: "a.js", mode: "Thorough" }).args.mode, "thorough");
+  assert.equal(rectifyWithSchema(schema, { file: "a.js", mode: "medium" }).args.mode, "medium");
+});
+
+test("array coercion wraps scalars and JSON array strings only", () => {
+  assert.deepEqual(rectifyWithSchema(schema, { file: "a", tags: "x" }).args.tags, ["x"]);
+  assert.deepEqual(rectifyWithSchema(schema, { file: "a", tags: "[\"x\",\"y\"]" }).args.tags, ["x", "y"]);
+  assert.deepEqual(rectifyWithSchema(schema, { file: "a", tags: { x: 1 } }).args.tags, { x: 1 });
+  assert.equal(rectifyWithSchema(schema, { file: "a", tags: "[not json" }).args.tags, "[not json");
+  assert.equal(rectifyWithSchema(schema, { file: "a", tags: null }).args.tags, null);
+});
+
+test("scalar coercions and defaults", () => {
+  const { args, fixes } = rectifyWithSchema(schema, { file: 5, force: "yes", limit: "3" });
+  assert.deepEqual(args, { file: "5", force: true, limit: 3 });
+  assert.equal(fixes.length, 3);
+  assert.equal(rectifyWithSchema(schema, { file: "a" }).args.limit, 10);
+});
+
+test("absolute paths become relative to the tool's base", () => {
+  const file = path.join(ROOT, "pkg", "src", "a.js");
+  assert.equal(rectifyWithSchema(schema, { file }, { root: ROOT }).args.file, "pkg/src/a.js");
+  assert.equal(rectifyWithSchema(schema, { file, root: "pkg" }, { root: ROOT }).args.file, "src/a.js");
+  // outside the base: left alone
+  assert.equal(rectifyWithSchema(schema, { file, root: "other" }, { root: ROOT }).args.file, file);
+  assert.equal(rectifyWithSchema(schema, { file: "/elsewhere/a.js" }, { root: ROOT }).args.file, "/elsewhere/a.js");
+});
+
+test("__proto__ keys are dropped", () => {
+  const args = JSON.parse("{\"file\":\"a\",\"__proto__\":{\"polluted\":true}}");
+  const out = rectifyWithSchema(schema, args).args;
+  assert.equal(Object.prototype.hasOwnProperty.call(out, "__proto__"), false);
+  assert.equal({}.polluted, undefined);
+});
+
+test("diffArgs lists added, removed and changed leaves", () => {
+  assert.deepEqual(diffArgs({ fiel: "a", tags: "x" }, { file: "a", tags: ["x"] }), [
+    { path: "fiel", op: "remove", before: "a" },
+    { path: "tags", op: "change", before: "x", after: ["x"] },
+    { path: "file", op: "add", after: "a" },
+  ]);
+});
+
+test("rectify uses the rules first and the LLM only when they are not enough", async () => {
+  const validator = createValidator();
+  let asked = 0;
+  const ollamaTool = { handler: async () => { asked++; return { text: JSON.stringify({ args: { file: "from-llm.js" } }) }; } };
+  const rectifier = createRectifier({ ollamaTool, validator });
+
+  const ruled = await rectifier.rectify({ toolName: "t", args: { flie: "a.js" }, schema, context: {} });
+  assert.equal(ruled.source, "rules");
+  assert.deepEqual(ruled.args, { file: "a.js", limit: 10 });
+  assert.equal(asked, 0);
+
+  const llm = await rectifier.rectify({ toolName: "t", args: { nothing: 1 }, schema, context: {} });
+  assert.equal(llm.source, "llm");
+  assert.equal(asked, 1);
+
+  const off = createRectifier({ ollamaTool, validator, llmFallback: false });
+  assert.equal(await off.rectify({ toolName: "t", args: {}, schema, context: {} }), null);
+});
@@ -0,0 +1,195 @@
+// src/system/resourceProvider.mjs
+/**
+ * ResourceProvider - exposes read-only .kryonex artifacts as MCP resources.
+ *
+ * URIs:
+ *  - kryonex://dependency-graph        generated dependency graph
+ *  - kryonex://tasks[/<id>]            TaskManager task records
+ *  - kryonex://tool-runs[/<id>]        rows of the tool_runs table
+ *  - kryonex://memory[/<id>]           semantic memory entries (embeddings stripped)
+ *  - kryonex://sessions[/<name>]       saved session logs (.kryonex/sessions/*.json)
+ *
+ * Task resources only cover tasks started in the session's project root (meta.projectRoot, or the
+ * parent task's for step tasks). readResource() returns null for URIs it does not know or that
+ * belong to another root; callers map that to an MCP error.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import semanticStore from "../utils/semanticStore.js";
+import { getProjectStorePaths } from "../models/kryonexStorage.js";
+
+const SCHEME = "kryonex://";
+const JSON_MIME = "application/json";
+const LIST_LIMIT = 50;
+
+const RESOURCE_TEMPLATES = [
+  { uriTemplate: "kryonex://tasks/{id}", name: "Task", description: "A task record with its steps, result and error", mimeType: JSON_MIME },
+  { uriTemplate: "kryonex://tool-runs/{id}", name: "Tool run", description: "A recorded tool invocation", mimeType: JSON_MIME },
+  { uriTemplate: "kryonex://memory/{id}", name: "Memory entry", description: "A semantic memory entry", mimeType: JSON_MIME },
+  { uriTemplate: "kryonex://sessions/{name}", name: "Session log", description: "A saved session log", mimeType: JSON_MIME },
+];
+
+function jsonContent(uri, data) {
+  return { contents: [{ uri, mimeType: JSON_MIME, text: JSON.stringify(data, null, 2) }] };
+}
+
+function stripEmbedding(entry) {
+  if (!entry || typeof entry !== "object") return entry;
+  const { embedding, ...rest } = entry;
+  return rest;
+}
+
+/**
+ * @param {object} [opts]
+ * @param {import('./taskManager.mjs').default} [opts.taskManager]
+ */
+export default function createResourceProvider({ taskManager = null } = {}) {
+  async function loadMemoryStore(projectRoot) {
+    const { memoryStorePath } = await getProjectStorePaths(projectRoot);
+    try {
+      return JSON.parse((await fs.readFile(memoryStorePath, "utf8")) || "{}");
+    } catch (e) {
+      return {};
+    }
+  }
+
+  async function sessionsDir(projectRoot) {
+    const { kryonexRoot } = await getProjectStorePaths(projectRoot);
+    return path.join(kryonexRoot, "sessions");
+  }
+
+  async function listSessionNames(projectRoot) {
+    try {
+      const entries = await fs.readdir(await sessionsDir(projectRoot));
+      return entries.filter((f) => f.endsWith(".json")).map((f) => f.slice(0, -".json".length));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // root a task was started in; step tasks inherit their parent's
+  function taskRoot(t) {
+    const root = t?.meta?.projectRoot || (t?.parent && taskManager.getTask(t.parent)?.meta?.projectRoot);
+    return root ? path.resolve(root) : null;
+  }
+
+  function inRoot(t, projectRoot) {
+    return !!t && !!projectRoot && taskRoot(t) === path.resolve(projectRoot);
+  }
+
+  function tasksFor(projectRoot) {
+    return taskManager.listTasks().filter((t) => inRoot(t, projectRoot));
+  }
+
+  async function loadDependencyGraph(projectRoot) {
+    const entry = await semanticStore.getSemanticEntry(projectRoot, "dependencies", "dependency-graph");
+    // generate_dependency_graph stores the graph pre-stringified
+    if (typeof entry === "string") {
+      try { return JSON.parse(entry); } catch (e) { return entry; }
+    }
+    return entry;
+  }
+
+  return {
+    name: "resourceProvider",
+
+    listResourceTemplates() {
+      return RESOURCE_TEMPLATES;
+    },
+
+    /**
+     * listResources - static collection URIs plus the most recent individual records
+     */
+    async listResources(context = {}) {
+      const resources = [
+        { uri: "kryonex://dependency-graph", name: "Dependency graph", mimeType: JSON_MIME },
+        { uri: "kryonex://tasks", name: "Tasks", mimeType: JSON_MIME },
+        { uri: "kryonex://tool-runs", name: "Tool runs", mimeType: JSON_MIME },
+        { uri: "kryonex://memory", name: "Semantic memory", mimeType: JSON_MIME },
+        { uri: "kryonex://sessions", name: "Session logs", mimeType: JSON_MIME },
+      ];
+
+      if (taskManager) {
+        const tasks = tasksFor(context.projectRoot)
+          .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+          .slice(0, LIST_LIMIT);
+        for (const t of tasks) {
+          resources.push({ uri: `kryonex://tasks/${t.id}`, name: `Task: ${t.title}`, description: `status: ${t.status}`, mimeType: JSON_MIME });
+        }
+      }
+
+      if (context.db && typeof context.db.listToolRuns === "function") {
+        for (const r of await context.db.listToolRuns({ limit: LIST_LIMIT })) {
+          resources.push({ uri: `kryonex://tool-runs/${r.id}`, name: `Tool run: ${r.toolName}`, description: `status: ${r.status}`, mimeType: JSON_MIME });
+        }
+      }
+
+      if (context.projectRoot) {
+        const memory = await loadMemoryStore(context.projectRoot);
+        for (const m of Object.values(memory)) {
+          resources.push({ uri: `kryonex://memory/${m.id}`, name: `Memory: ${String(m.text || "").slice(0, 60)}`, mimeType: JSON_MIME });
+        }
+        for (const n of await listSessionNames(context.projectRoot)) {
+          resources.push({ uri: `kryonex://sessions/${n}`, name: `Session: ${n}`, mimeType: JSON_MIME });
+        }
+      }
+
+      return resources;
+    },
+
+    /**
+     * readResource - returns { contents } or null when the URI is unknown
+     */
+    async readResource(uri, context = {}) {
+      if (typeof uri !== "string" || !uri.startsWith(SCHEME)) return null;
+      const [kind, ...rest] = uri.slice(SCHEME.length).split("/");
+      const id = rest.length ? decodeURIComponent(rest.join("/")) : null;
+      const projectRoot = context.projectRoot;
+
+      switch (kind) {
+        case "dependency-graph": {
+          if (id || !projectRoot) return null;
+          const graph = await loadDependencyGraph(projectRoot);
+          return graph ? jsonContent(uri, graph) : null;
+        }
+
+        case "tasks": {
+          if (!taskManager) return null;
+          if (!id) return jsonContent(uri, tasksFor(projectRoot));
+          const t = taskManager.getTask(id);
+          return inRoot(t, projectRoot) ? jsonContent(uri, t) : null;
+        }
+
+        case "tool-runs": {
+          if (!context.db || typeof context.db.listToolRuns !== "function") return null;
+          if (!id) return jsonContent(uri, await context.db.listToolRuns({ limit: LIST_LIMIT }));
+          const r = await context.db.getToolRun(id);
+          return r ? jsonContent(uri, r) : null;
+        }
+
+        case "memory": {
+          if (!projectRoot) return null;
+          const memory = await loadMemoryStore(projectRoot);
+          if (!id) return jsonContent(uri, Object.values(memory).map(stripEmbedding));
+          return Object.prototype.hasOwnProperty.call(memory, id) ? jsonContent(uri, stripEmbedding(memory[id])) : null;
+        }
+
+        case "sessions": {
+          if (!projectRoot) return null;
+          if (!id) return jsonContent(uri, await listSessionNames(projectRoot));
+          if (id !== path.basename(id)) return null;
+          try {
+            const raw = await fs.readFile(path.join(await sessionsDir(projectRoot), `${id}.json`), "utf8");
+            return { contents: [{ uri, mimeType: JSON_MIME, text: raw }] };
+          } catch (e) {
+            return null;
+          }
+        }
+
+        default:
+          return null;
+      }
+    },
+  };
+}
@@ -0,0 +1,86 @@
+// src/system/resourceSubscriptions.mjs
+/**
+ * ResourceSubscriptions - tracks client subscriptions to kryonex:// resources and
+ * turns EventBus task/tool events into resources/updated notifications.
+ *
+ * Updates raised within the same tick are coalesced so a burst of task.updated /
+ * task.step.* events for one task produces a single notification per URI.
+ */
+
+const TASK_EVENTS = new Set(["task.created", "task.updated", "task.completed", "task.failed", "task.partially_failed", "task.cancelled", "task.interrupted", "task.skipped"]);
+const STEP_EVENTS = new Set(["task.step.added", "task.step.started", "task.step.completed", "task.step.failed", "task.step.cancelled"]);
+const TOOL_EVENTS = new Set(["tool.end", "tool.error", "tool.cancelled", "tool.timeout", "tool.throttled", "tool.cache_hit"]);
+
+class ResourceSubscriptions {
+  /**
+   * @param {object} [opts]
+   * @param {import('./eventBus.mjs').default} [opts.eventBus]
+   * @param {(uri: string) => Promise<void>} [opts.notify] sends notifications/resources/updated
+   */
+  constructor({ eventBus = null, notify = null } = {}) {
+    this.eventBus = eventBus;
+    this.notify = notify;
+    this.uris = new Set();
+    this.pending = new Set();
+    this.flushScheduled = false;
+    this.unsubscribers = [];
+  }
+
+  subscribe(uri) { this.uris.add(uri); }
+  unsubscribe(uri) { this.uris.delete(uri); }
+  has(uri) { return this.uris.has(uri); }
+
+  /**
+   * attach - start listening on the EventBus (idempotent). Pattern subscriptions rather than
+   * per-event listeners, so many sessions do not trip the EventEmitter listener limit.
+   */
+  attach() {
+    if (!this.eventBus || this.unsubscribers.length) return;
+
+    this.unsubscribers.push(this.eventBus.subscribe("task.**", (payload, name) => {
+      if (TASK_EVENTS.has(name)) {
+        if (!payload || !payload.id) return;
+        const uris = ["kryonex://tasks", `kryonex://tasks/${payload.id}`];
+        if (payload.parent) uris.push(`kryonex://tasks/${payload.parent}`);
+        this._queue(uris);
+      } else if (STEP_EVENTS.has(name)) {
+        if (payload && payload.taskId) this._queue([`kryonex://tasks/${payload.taskId}`]);
+      }
+    }));
+    this.unsubscribers.push(this.eventBus.subscribe("tool.*", (record, name) => {
+      if (!TOOL_EVENTS.has(name)) return;
+      const uris = ["kryonex://tool-runs"];
+      if (record && record.id) uris.push(`kryonex://tool-runs/${record.id}`);
+      this._queue(uris);
+    }));
+  }
+
+  /**
+   * detach - remove EventBus subscriptions and forget all subscriptions
+   */
+  detach() {
+    for (const off of this.unsubscribers) off();
+    this.unsubscribers = [];
+    this.uris.clear();
+    this.pending.clear();
+  }
+
+  _queue(uris) {
+    for (const uri of uris) if (this.uris.has(uri)) this.pending.add(uri);
+    if (!this.pending.size || this.flushScheduled) return;
+    this.flushScheduled = true;
+    setImmediate(() => this._flush());
+  }
+
+  async _flush() {
+    this.flushScheduled = false;
+    const uris = Array.from(this.pending);
+    this.pending.clear();
+    if (!this.notify) return;
+    for (const uri of uris) {
+      try { await this.notify(uri); } catch (e) { console.error("[ResourceSubscriptions] notify failed", uri, e); }
+    }
+  }
+}
+
+export default ResourceSubscriptions;
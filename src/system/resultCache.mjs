@@ -0,0 +1,138 @@
+// src/system/resultCache.mjs
+/**
+ * ResultCache - opt-in cache of read-only tool results for ToolRunner.
+ *
+ * Configured in .kryonex/config.json as "toolCache":
+ *   { "ttlMs": 60000, "maxEntries": 500,
+ *     "tools": { "project_info": { "ttlMs": 300000 }, "scan_project": {}, "semantic_memory_search": { "ttlMs": 30000 } },
+ *     "invalidateOn": ["file.**", "project.**", "semantic_memory.**"] }
+ * Only the listed tools are cached, and only if they are annotated readOnlyHint: true.
+ * Entries are keyed by tool name, project root (projectRootOf) and a hash of the args with their keys sorted.
+ *
+ * Entries for a project are dropped when an event matching invalidateOn carries its projectRoot
+ * (an event without one clears everything), e.g. project.ingested, file.removed, file.changed or
+ * semantic_memory.added, and when a tool that is not read-only ends for that project, whether it
+ * succeeded or not (tool.end, tool.error, tool.timeout, tool.cancelled). A root matches entries
+ * for the same directory, a directory inside it or one containing it.
+ */
+
+import crypto from "crypto";
+import path from "path";
+
+const DEFAULT_INVALIDATE_ON = ["file.**", "project.**", "semantic_memory.**"];
+// a write tool may have changed files even when it did not finish cleanly
+const WRITE_TOOL_EVENTS = ["tool.end", "tool.error", "tool.timeout", "tool.cancelled"];
+
+/**
+ * projectRootOf - the project a tool call works on: args.projectRoot, else the context's root,
+ * as an absolute path (null when neither is set). ToolRunner keys cache entries by it and puts it
+ * on its tool.* events as projectRoot.
+ */
+export function projectRootOf(args, context) {
+  const root = (args && typeof args.projectRoot === "string" && args.projectRoot) || (context && context.projectRoot) || null;
+  return root ? path.resolve(root) : null;
+}
+
+function contains(dir, other) {
+  const rel = path.relative(dir, other);
+  return !rel.startsWith("..") && !path.isAbsolute(rel);
+}
+
+// JSON with object keys sorted and undefined values dropped, so equal args hash the same
+function normalise(value) {
+  if (Array.isArray(value)) return value.map((v) => (v === undefined ? null : normalise(v)));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const k of Object.keys(value).sort()) {
+      if (value[k] !== undefined) out[k] = normalise(value[k]);
+    }
+    return out;
+  }
+  return value;
+}
+
+export function hashArgs(args) {
+  return crypto.createHash("sha256").update(JSON.stringify(normalise(args ?? {}))).digest("hex");
+}
+
+function copy(value) {
+  try { return structuredClone(value); } catch { return value; }
+}
+
+/**
+ * @param {object} [opts]
+ * @param {import('./eventBus.mjs').default} [opts.eventBus]
+ * @param {number} [opts.ttlMs] default TTL for tools without their own
+ * @param {number} [opts.maxEntries] oldest entries are evicted beyond it
+ * @param {Record<string, { ttlMs?: number }>} [opts.tools] the tools to cache
+ * @param {string[]} [opts.invalidateOn] event name patterns that drop entries
+ */
+export default function createResultCache({ eventBus = null, ttlMs = 60000, maxEntries = 500, tools = {}, invalidateOn = DEFAULT_INVALIDATE_ON } = {}) {
+  const entries = new Map(); // key -> { toolName, projectRoot, result, storedAt, expiresAt }
+  const stats = { hits: 0, misses: 0, invalidations: 0 };
+
+  function invalidate(projectRoot = null) {
+    let dropped = 0;
+    for (const [key, e] of entries) {
+      if (projectRoot && e.projectRoot && !contains(projectRoot, e.projectRoot) && !contains(e.projectRoot, projectRoot)) continue;
+      entries.delete(key);
+      dropped++;
+    }
+    if (dropped) stats.invalidations++;
+    return dropped;
+  }
+
+  const rootOf = (payload) => (payload && payload.projectRoot ? path.resolve(payload.projectRoot) : null);
+
+  const unsubscribers = eventBus && typeof eventBus.subscribe === "function"
+    ? [
+      ...[].concat(invalidateOn || []).map((p) => eventBus.subscribe(p, (payload) => invalidate(rootOf(payload)))),
+      ...WRITE_TOOL_EVENTS.map((name) => eventBus.subscribe(name, (payload) => { if (payload && payload.readOnly === false) invalidate(rootOf(payload)); })),
+    ]
+    : [];
+
+  return {
+    /** isCached - true if results of toolName are cached (ToolRunner also requires readOnlyHint) */
+    isCached(toolName) {
+      return !!(tools && Object.prototype.hasOwnProperty.call(tools, toolName));
+    },
+
+    key(toolName, args, projectRoot = null) {
+      return `${toolName}:${hashArgs({ args, projectRoot })}`;
+    },
+
+    /** get - { result, key, ageMs } for a live entry, or null */
+    get(toolName, args, projectRoot = null) {
+      const key = this.key(toolName, args, projectRoot);
+      const e = entries.get(key);
+      if (!e || e.expiresAt <= Date.now()) {
+        if (e) entries.delete(key);
+        stats.misses++;
+        return null;
+      }
+      stats.hits++;
+      return { result: copy(e.result), key, ageMs: Date.now() - e.storedAt };
+    },
+
+    set(toolName, args, projectRoot, result) {
+      const ttl = (tools[toolName] && tools[toolName].ttlMs) ?? ttlMs;
+      if (!ttl || ttl <= 0) return;
+      const key = this.key(toolName, args, projectRoot);
+      const now = Date.now();
+      entries.delete(key);
+      entries.set(key, { toolName, projectRoot, result: copy(result), storedAt: now, expiresAt: now + ttl });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+
+    invalidate,
+
+    stats() {
+      return { ...stats, entries: entries.size };
+    },
+
+    close() {
+      for (const off of unsubscribers) off();
+      entries.clear();
+    },
+  };
+}
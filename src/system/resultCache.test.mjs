@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import EventBus from "./eventBus.mjs";
+import ToolRunner from "./toolRunner.mjs";
+import createResultCache, { hashArgs, projectRootOf } from "./resultCache.mjs";
+
+const ROOT = path.resolve("/work/app");
+
+test("hashArgs ignores key order and undefined values", () => {
+  assert.equal(hashArgs({ a: 1, b: { c: 2, d: 3 } }), hashArgs({ b: { d: 3, c: 2 }, a: 1, e: undefined }));
+  assert.notEqual(hashArgs({ a: [1, 2] }), hashArgs({ a: [2, 1] }));
+});
+
+test("projectRootOf prefers args.projectRoot and returns an absolute path", () => {
+  assert.equal(projectRootOf({ projectRoot: "/work/other" }, { projectRoot: ROOT }), path.resolve("/work/other"));
+  assert.equal(projectRootOf({}, { projectRoot: ROOT }), ROOT);
+  assert.equal(projectRootOf({ projectRoot: 5 }, {}), null);
+});
+
+test("entries expire after their tool's ttl and are copies", async () => {
+  const cache = createResultCache({ tools: { info: { ttlMs: 20 } } });
+  const value = { n: 1 };
+  cache.set("info", {}, ROOT, value);
+  value.n = 2;
+  assert.deepEqual(cache.get("info", {}, ROOT).result, { n: 1 });
+  await new Promise((r) => setTimeout(r, 30));
+  assert.equal(cache.get("info", {}, ROOT), null);
+});
+
+test("events for a project drop its entries, nested roots included", () => {
+  const eventBus = new EventBus();
+  const cache = createResultCache({ eventBus, tools: { info: {} } });
+  cache.set("info", {}, ROOT, 1);
+  cache.set("info", {}, path.join(ROOT, "packages/a"), 2);
+  cache.set("info", {}, path.resolve("/work/other"), 3);
+
+  eventBus.emit("file.changed", { projectRoot: ROOT, file: "src/a.js" });
+  assert.equal(cache.get("info", {}, ROOT), null);
+  assert.equal(cache.get("info", {}, path.join(ROOT, "packages/a")), null);
+  assert.equal(cache.get("info", {}, path.resolve("/work/other")).result, 3);
+
+  eventBus.emit("semantic_memory.added", {});
+  assert.equal(cache.stats().entries, 0);
+  cache.close();
+});
+
+for (const name of ["tool.end", "tool.error", "tool.timeout", "tool.cancelled"]) {
+  test(`${name} of a write tool invalidates, of a read-only tool does not`, () => {
+    const eventBus = new EventBus();
+    const cache = createResultCache({ eventBus, tools: { info: {} } });
+    cache.set("info", {}, ROOT, 1);
+    eventBus.emit(name, { toolName: "info", readOnly: true, projectRoot: ROOT });
+    assert.equal(cache.stats().entries, 1);
+    eventBus.emit(name, { toolName: "write", readOnly: false, projectRoot: ROOT });
+    assert.equal(cache.stats().entries, 0);
+    cache.close();
+  });
+}
+
+test("ToolRunner keys entries and write events by the same root", async () => {
+  const eventBus = new EventBus();
+  const cache = createResultCache({ eventBus, tools: { info: {} } });
+  const runner = new ToolRunner({ eventBus, cache });
+  let reads = 0;
+  const info = Object.assign(async () => ++reads, { annotations: { readOnlyHint: true } });
+  const write = Object.assign(async () => { throw new Error("half written"); }, { annotations: { readOnlyHint: false } });
+  const handlers = { info, write };
+  const context = { projectRoot: "/work/ctx" };
+
+  assert.equal(await runner.call(handlers, "info", { projectRoot: ROOT }, context), 1);
+  assert.equal(await runner.call(handlers, "info", { projectRoot: ROOT }, context), 1);
+  // a failed write for the args' root (not the context's) still drops the entry
+  await assert.rejects(runner.call(handlers, "write", { projectRoot: ROOT }, context), /half written/);
+  assert.equal(await runner.call(handlers, "info", { projectRoot: ROOT }, context), 2);
+  cache.close();
+});
@@ -85,6 +85,15 @@ class TaskManager {
     return s;
   }
 
+  async cancelStep(taskId, stepId, reason = null) {
+    const t = this.getTask(taskId); if (!t) throw new Error("Task not found");
+    const s = t.steps.find(x => x.id === stepId); if (!s) throw new Error("Step not found");
+    s.status = "cancelled"; s.finishedAt = this._now(); s.error = reason ? String(reason) : "cancelled";
+    await this.updateTask(t);
+    if (this.eventBus) await this.eventBus.emitPersisted("task.step.cancelled", { taskId, stepId, reason: s.error });
+    return s;
+  }
+
   async completeTask(id, result = null) {
     const t = this.getTask(id); if (!t) throw new Error("Task not found");
     t.status = "completed"; t.result = result; t.updatedAt = this._now();
@@ -93,13 +102,49 @@ class TaskManager {
     return t;
   }
 
-  async failTask(id, error = null) {
+  async failTask(id, error = null, result = undefined) {
     const t = this.getTask(id); if (!t) throw new Error("Task not found");
     t.status = "failed"; t.error = String(error); t.updatedAt = this._now();
+    if (result !== undefined) t.result = result;
     await this.updateTask(t);
     if (this.eventBus) await this.eventBus.emitPersisted("task.failed", t);
     return t;
   }
+
+  // a parent task where some child tasks completed and some failed
+  async partiallyFailTask(id, error = null, result = null) {
+    const t = this.getTask(id); if (!t) throw new Error("Task not found");
+    t.status = "partially_failed"; t.error = error ? String(error) : null; t.result = result; t.updatedAt = this._now();
+    await this.updateTask(t);
+    if (this.eventBus) await this.eventBus.emitPersisted("task.partially_failed", t);
+    return t;
+  }
+
+  async cancelTask(id, reason = null) {
+    const t = this.getTask(id); if (!t) throw new Error("Task not found");
+    t.status = "cancelled"; t.error = reason ? String(reason) : "cancelled"; t.updatedAt = this._now();
+    await this.updateTask(t);
+    if (this.eventBus) await this.eventBus.emitPersisted("task.cancelled", t);
+    return t;
+  }
+
+  // a task whose run was cut short by a server restart and was not resumed
+  async interruptTask(id, reason = null) {
+    const t = this.getTask(id); if (!t) throw new Error("Task not found");
+    t.status = "interrupted"; t.error = reason ? String(reason) : "interrupted"; t.updatedAt = this._now();
+    await this.updateTask(t);
+    if (this.eventBus) await this.eventBus.emitPersisted("task.interrupted", t);
+    return t;
+  }
+
+  // a task that never ran because one of its dependencies did not complete
+  async skipTask(id, reason = null) {
+    const t = this.getTask(id); if (!t) throw new Error("Task not found");
+    t.status = "skipped"; t.error = reason ? String(reason) : "skipped"; t.updatedAt = this._now();
+    await this.updateTask(t);
+    if (this.eventBus) await this.eventBus.emitPersisted("task.skipped", t);
+    return t;
+  }
 }
 
 export default TaskManager;
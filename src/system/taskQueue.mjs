@@ -1,3 +1,6 @@
+import crypto from "crypto";
+import { setTimeout as wait } from "timers/promises";
+
 class InMemoryQueue {
   constructor() { this.queue = []; this.processing = false; }
   push(job) { this.queue.push(job); this._drain(); }
@@ -16,6 +19,84 @@ class InMemoryQueue {
   length() { return this.queue.length; }
 }
 
+/**
+ * SqliteQueue - durable queue on top of kryonexDb (queue_jobs table); jobs survive restarts.
+ * push(payload, { priority, delayMs, maxAttempts }) -> job id. pop() / popBlocking(timeout) lease the
+ * next job ({ id, payload, attempts, ... }) for visibilityTimeoutMs; ack(job) removes it, nack(job, err)
+ * releases it with backoff. A job whose lease expires is delivered again; after maxAttempts it is
+ * dead-lettered (deadLetters(), requeue(id)). process(handler) runs a worker loop doing all of this;
+ * the server's loop is a JobWorker (jobWorker.mjs).
+ */
+class SqliteQueue {
+  constructor(db, queueName = "kryonex:tasks", { visibilityTimeoutMs = 30000, maxAttempts = 3, backoffMs = 1000, pollMs = 250 } = {}) {
+    if (!db || typeof db.claimJob !== "function") throw new Error("SqliteQueue requires a kryonexDb instance");
+    this.db = db; this.queueName = queueName;
+    this.visibilityTimeoutMs = visibilityTimeoutMs; this.maxAttempts = maxAttempts; this.backoffMs = backoffMs; this.pollMs = pollMs;
+  }
+  _id(job) { return job && typeof job === "object" ? job.id : job; }
+  async push(payload, { priority = 0, delayMs = 0, maxAttempts = this.maxAttempts } = {}) {
+    const id = crypto.randomUUID();
+    await this.db.enqueueJob({ id, queue: this.queueName, payload, priority, availableAt: Date.now() + Math.max(0, delayMs), maxAttempts });
+    return id;
+  }
+  async pop() { return this.db.claimJob(this.queueName, { visibilityMs: this.visibilityTimeoutMs }); }
+  // timeout in seconds like RedisQueue.popBlocking; 0 waits until a job arrives
+  async popBlocking(timeout = 0) {
+    const deadline = timeout > 0 ? Date.now() + timeout * 1000 : Infinity;
+    for (;;) {
+      const job = await this.pop();
+      if (job) return job;
+      if (Date.now() >= deadline) return null;
+      await wait(Math.min(this.pollMs, Math.max(1, deadline - Date.now())));
+    }
+  }
+  async ack(job) { return this.db.ackJob(this._id(job)); }
+  // backoff doubles per attempt unless delayMs is given; returns "ready", "dead" or null (lease lost)
+  async nack(job, error = null, { delayMs = null } = {}) {
+    const attempts = (job && job.attempts) || 1;
+    return this.db.nackJob(this._id(job), { error, delayMs: delayMs ?? this.backoffMs * Math.pow(2, attempts - 1) });
+  }
+  async extend(job, ms = this.visibilityTimeoutMs) { return this.db.extendJobLease(this._id(job), Date.now() + ms); }
+  async length() { return (await this.db.countJobs(this.queueName)).ready; }
+  async stats() { return this.db.countJobs(this.queueName); }
+  async deadLetters(limit = 50) { return this.db.listJobs(this.queueName, { status: "dead", limit }); }
+  // jobs in queue order, optionally only one status ("ready", "inflight" or "dead")
+  async list({ status = null, limit = 50 } = {}) { return this.db.listJobs(this.queueName, { status, limit }); }
+  async requeue(id) { return this.db.requeueJob(id); }
+  // give a leased job back without using up an attempt (e.g. its worker is shutting down)
+  async release(job) { return this.db.releaseJob(this._id(job)); }
+  // drop a job that no worker holds; false if it is in flight or gone
+  async remove(id) { return this.db.deleteJob(id); }
+
+  /**
+   * process - run handler(payload, job) for each job (up to `concurrency` at once) until the returned
+   * stop() is called; resolves stop() once in-flight handlers finish. The lease is extended while a
+   * handler runs so long jobs are not re-delivered.
+   */
+  process(handler, { concurrency = 1 } = {}) {
+    let stopped = false;
+    const worker = async () => {
+      while (!stopped) {
+        let job;
+        try { job = await this.pop(); } catch (e) { console.error("[SqliteQueue] pop failed", e); }
+        if (!job) { await wait(this.pollMs); continue; }
+        const keepAlive = setInterval(() => { this.extend(job).catch(() => {}); }, Math.max(1000, Math.floor(this.visibilityTimeoutMs / 2)));
+        try {
+          await handler(job.payload, job);
+          await this.ack(job);
+        } catch (e) {
+          const state = await this.nack(job, e instanceof Error ? e.message : String(e)).catch(() => null);
+          console.error(`[SqliteQueue] job ${job.id} failed (${state || "lease lost"})`, e);
+        } finally {
+          clearInterval(keepAlive);
+        }
+      }
+    };
+    const workers = Array.from({ length: Math.max(1, concurrency) }, () => worker());
+    return async () => { stopped = true; await Promise.all(workers); };
+  }
+}
+
 let RedisQueue = null;
 try {
   const ioredis = await import("ioredis").catch(() => null);
@@ -28,4 +109,4 @@ try {
   }
 } catch (e) { RedisQueue = null; }
 
-export { InMemoryQueue, RedisQueue };
+export { InMemoryQueue, SqliteQueue, RedisQueue };
@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import { openDb } from "../storage/kryonexDb.js";
+import { SqliteQueue } from "./taskQueue.mjs";
+
+async function tmpDb(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "kryonex-queue-"));
+  const db = await openDb(path.join(dir, "db.sqlite"));
+  t.after(async () => { db.close(); await fs.rm(dir, { recursive: true, force: true }); });
+  return db;
+}
+
+test("jobs are popped by priority, then in push order", async (t) => {
+  const q = new SqliteQueue(await tmpDb(t), "test");
+  await q.push({ n: 1 });
+  await q.push({ n: 2 }, { priority: 5 });
+  await q.push({ n: 3 });
+  const order = [];
+  for (let job; (job = await q.pop()); await q.ack(job)) order.push(job.payload.n);
+  assert.deepEqual(order, [2, 1, 3]);
+  assert.deepEqual(await q.stats(), { ready: 0, delayed: 0, inflight: 0, dead: 0 });
+});
+
+test("a delayed job is not delivered before its time", async (t) => {
+  const q = new SqliteQueue(await tmpDb(t), "test");
+  await q.push({ n: 1 }, { delayMs: 60000 });
+  assert.equal(await q.pop(), null);
+  assert.equal((await q.stats()).delayed, 1);
+});
+
+test("a job whose lease expires is delivered again, then dead-lettered after maxAttempts", async (t) => {
+  const q = new SqliteQueue(await tmpDb(t), "test", { visibilityTimeoutMs: 10, maxAttempts: 2 });
+  const id = await q.push({ n: 1 });
+  assert.equal((await q.pop()).attempts, 1);
+  assert.equal(await q.pop(), null);
+  await sleep(20);
+  const again = await q.pop();
+  assert.equal(again.id, id);
+  assert.equal(again.attempts, 2);
+  await sleep(20);
+  assert.equal(await q.pop(), null);
+  assert.equal((await q.deadLetters()).length, 1);
+
+  assert.equal(await q.requeue(id), true);
+  assert.equal((await q.pop()).attempts, 1);
+});
+
+test("nack releases a job with backoff and dead-letters it on the last attempt", async (t) => {
+  const q = new SqliteQueue(await tmpDb(t), "test", { maxAttempts: 2, backoffMs: 60000 });
+  await q.push({ n: 1 });
+  assert.equal(await q.nack(await q.pop(), "boom"), "ready");
+  assert.equal((await q.stats()).delayed, 1);
+  assert.equal(await q.pop(), null);
+
+  const q2 = new SqliteQueue(q.db, "test2", { maxAttempts: 1 });
+  await q2.push({ n: 2 });
+  assert.equal(await q2.nack(await q2.pop(), "boom"), "dead");
+  const [dead] = await q2.list({ status: "dead" });
+  assert.equal(dead.error, "boom");
+});
+
+test("process acks handled jobs and nacks failed ones", async (t) => {
+  const q = new SqliteQueue(await tmpDb(t), "test", { pollMs: 5, maxAttempts: 1 });
+  await q.push({ ok: true });
+  await q.push({ ok: false });
+  const seen = [];
+  const errors = t.mock.method(console, "error", () => {});
+  const stop = q.process(async (payload) => {
+    seen.push(payload.ok);
+    if (!payload.ok) throw new Error("nope");
+  });
+  while (seen.length < 2) await sleep(5);
+  await stop();
+  errors.mock.restore();
+  assert.deepEqual(await q.stats(), { ready: 0, delayed: 0, inflight: 0, dead: 1 });
+});
+
+test("release hands a leased job back without counting the delivery; remove drops a queued job", async (t) => {
+  const q = new SqliteQueue(await tmpDb(t), "test", { maxAttempts: 1 });
+  const id = await q.push({ n: 1 });
+  assert.equal(await q.release(await q.pop()), true);
+  const job = await q.pop();
+  assert.deepEqual([job.id, job.attempts], [id, 1]);
+  assert.equal(await q.remove(id), false);
+  await q.release(job);
+  assert.equal(await q.remove(id), true);
+  assert.equal(await q.pop(), null);
+});
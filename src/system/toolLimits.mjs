@@ -0,0 +1,121 @@
+// src/system/toolLimits.mjs
+/**
+ * Per-tool limits for ToolRunner, configured as "toolLimits" in .kryonex/config.json:
+ *   { "default": { "timeoutMs": 600000 }, "ollama_chat": { "timeoutMs": 120000, "maxConcurrent": 1, "callsPerMinute": 20 } }
+ * A tool's entry is merged over "default".
+ * - timeoutMs: the call ends with a ToolTimeoutError and the handler's signal is aborted
+ * - maxConcurrent: extra calls wait for a slot up to queueTimeoutMs (default 30s), then are throttled;
+ *   ToolRunner frees a slot when the handler settles, so a timed-out handler still holds it
+ * - callsPerMinute: calls beyond it within a sliding minute are throttled right away
+ */
+
+export function toolTimeoutError(toolName, timeoutMs) {
+  const err = new Error(`Tool ${toolName} timed out after ${timeoutMs}ms`);
+  err.name = "ToolTimeoutError";
+  err.timeoutMs = timeoutMs;
+  return err;
+}
+
+export function toolThrottledError(toolName, reason, retryAfterMs = null) {
+  const err = new Error(`Tool ${toolName} throttled: ${reason}`);
+  err.name = "ToolThrottledError";
+  err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
+export function isToolTimeoutError(e) {
+  return !!e && e.name === "ToolTimeoutError";
+}
+
+export function isToolThrottledError(e) {
+  return !!e && e.name === "ToolThrottledError";
+}
+
+const MINUTE = 60 * 1000;
+
+/**
+ * createToolLimiter - admission (rate + concurrency) and timeout enforcement per tool name
+ * @param {Record<string, { timeoutMs?: number, maxConcurrent?: number, callsPerMinute?: number, queueTimeoutMs?: number }>} [limits]
+ */
+export default function createToolLimiter(limits = {}) {
+  const state = new Map(); // toolName -> { running, waiters: [], calls: number[] }
+
+  function stateFor(toolName) {
+    if (!state.has(toolName)) state.set(toolName, { running: 0, waiters: [], calls: [] });
+    return state.get(toolName);
+  }
+
+  return {
+    policyFor(toolName) {
+      return { ...((limits && limits.default) || {}), ...((limits && limits[toolName]) || {}) };
+    },
+
+    /**
+     * acquire - resolves with release() once the call may run; rejects with a ToolThrottledError
+     * (or the signal's AbortError via onAbort) otherwise
+     */
+    async acquire(toolName, { signal = null, onAbort = null } = {}) {
+      const policy = this.policyFor(toolName);
+      const s = stateFor(toolName);
+
+      if (policy.callsPerMinute) {
+        const now = Date.now();
+        s.calls = s.calls.filter((t) => t > now - MINUTE);
+        if (s.calls.length >= policy.callsPerMinute) {
+          throw toolThrottledError(toolName, `more than ${policy.callsPerMinute} calls per minute`, s.calls[0] + MINUTE - now);
+        }
+        s.calls.push(now);
+      }
+
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        s.running--;
+        const next = s.waiters.shift();
+        if (next) next();
+      };
+      if (!policy.maxConcurrent || s.running < policy.maxConcurrent) {
+        s.running++;
+        return release;
+      }
+
+      const queueTimeoutMs = policy.queueTimeoutMs ?? 30000;
+      return new Promise((resolve, reject) => {
+        let timer = null;
+        const cleanup = () => {
+          const i = s.waiters.indexOf(grant);
+          if (i >= 0) s.waiters.splice(i, 1);
+          if (timer) clearTimeout(timer);
+          if (signal) signal.removeEventListener("abort", abort);
+        };
+        const grant = () => { cleanup(); s.running++; resolve(release); };
+        const abort = () => { cleanup(); reject(onAbort ? onAbort() : new Error(`Tool ${toolName} cancelled`)); };
+        s.waiters.push(grant);
+        timer = setTimeout(() => {
+          cleanup();
+          reject(toolThrottledError(toolName, `${policy.maxConcurrent} calls already running (waited ${queueTimeoutMs}ms)`));
+        }, queueTimeoutMs);
+        if (signal) signal.addEventListener("abort", abort, { once: true });
+      });
+    },
+
+    /**
+     * withTimeout - settle with the promise, or reject with a ToolTimeoutError after timeoutMs
+     * (calling onTimeout first so the handler can be told to stop)
+     */
+    withTimeout(promise, toolName, timeoutMs, onTimeout = null) {
+      if (!timeoutMs) return promise;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          if (onTimeout) onTimeout();
+          reject(toolTimeoutError(toolName, timeoutMs));
+        }, timeoutMs);
+        Promise.resolve(promise).then(
+          (v) => { clearTimeout(timer); resolve(v); },
+          (e) => { clearTimeout(timer); reject(e); },
+        );
+      });
+    },
+  };
+}
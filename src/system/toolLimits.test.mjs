@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import createToolLimiter, { isToolThrottledError, isToolTimeoutError } from "./toolLimits.mjs";
+
+test("a tool's limits are merged over the default", () => {
+  const limiter = createToolLimiter({ default: { timeoutMs: 1000, maxConcurrent: 4 }, slow: { timeoutMs: 5000 } });
+  assert.deepEqual(limiter.policyFor("slow"), { timeoutMs: 5000, maxConcurrent: 4 });
+  assert.deepEqual(limiter.policyFor("other"), { timeoutMs: 1000, maxConcurrent: 4 });
+});
+
+test("calls beyond callsPerMinute are throttled right away", async () => {
+  const limiter = createToolLimiter({ t: { callsPerMinute: 2 } });
+  (await limiter.acquire("t"))();
+  (await limiter.acquire("t"))();
+  await assert.rejects(limiter.acquire("t"), (e) => isToolThrottledError(e) && e.retryAfterMs > 0);
+});
+
+test("maxConcurrent queues calls until a slot is released, then throttles after queueTimeoutMs", async () => {
+  const limiter = createToolLimiter({ t: { maxConcurrent: 1, queueTimeoutMs: 20 } });
+  const release = await limiter.acquire("t");
+  let granted = false;
+  const waiting = limiter.acquire("t").then((r) => { granted = true; return r; });
+  await new Promise((r) => setImmediate(r));
+  assert.equal(granted, false);
+  release();
+  (await waiting)();
+  assert.equal(granted, true);
+
+  const held = await limiter.acquire("t");
+  await assert.rejects(limiter.acquire("t"), isToolThrottledError);
+  held();
+});
+
+test("releasing twice frees one slot", async () => {
+  const limiter = createToolLimiter({ t: { maxConcurrent: 1, queueTimeoutMs: 20 } });
+  const a = await limiter.acquire("t");
+  a();
+  const b = await limiter.acquire("t");
+  a();
+  await assert.rejects(limiter.acquire("t"), isToolThrottledError);
+  b();
+});
+
+test("an aborted wait rejects with onAbort's error", async () => {
+  const limiter = createToolLimiter({ t: { maxConcurrent: 1 } });
+  const release = await limiter.acquire("t");
+  const controller = new AbortController();
+  const waiting = limiter.acquire("t", { signal: controller.signal, onAbort: () => Object.assign(new Error("stop"), { name: "AbortError" }) });
+  controller.abort();
+  await assert.rejects(waiting, { name: "AbortError" });
+  release();
+});
+
+test("withTimeout rejects after timeoutMs and calls onTimeout", async () => {
+  const limiter = createToolLimiter();
+  let told = false;
+  await assert.rejects(limiter.withTimeout(new Promise(() => {}), "t", 10, () => { told = true; }), isToolTimeoutError);
+  assert.equal(told, true);
+  assert.equal(await limiter.withTimeout(Promise.resolve(1), "t", 10), 1);
+});
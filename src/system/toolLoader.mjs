@@ -0,0 +1,145 @@
+// src/system/toolLoader.mjs
+/**
+ * ToolLoader - loads tool modules ({ name, description, schema, outputSchema?, annotations?, handler }) from a directory
+ * into the shared toolHandlers map and optionally hot-reloads them.
+ *
+ * Reloads re-import the changed file with a cache-busting query string. Only the tool module
+ * itself is re-evaluated; modules it imports stay cached until the server restarts.
+ */
+
+import fs from "fs/promises";
+import fsSync from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+/**
+ * attachToolMeta - copy a tool definition's metadata onto its handler (what ListTools reads)
+ */
+export function attachToolMeta(def) {
+  def.handler.description = def.description || def.handler.description || "";
+  def.handler.schema = def.schema || def.handler.schema || { type: "object" };
+  def.handler.outputSchema = def.outputSchema || def.handler.outputSchema || undefined;
+  def.handler.annotations = def.annotations || def.handler.annotations || undefined;
+  return def.handler;
+}
+
+class ToolLoader {
+  /**
+   * @param {object} opts
+   * @param {string} opts.toolsDir
+   * @param {Record<string, any>} opts.toolHandlers shared name -> handler map (mutated in place)
+   * @param {(m: string, ...a: any[]) => void} [opts.log]
+   * @param {(m: string, ...a: any[]) => void} [opts.warn]
+   * @param {number} [opts.debounceMs]
+   */
+  constructor({ toolsDir, toolHandlers, log = console.error, warn = console.error, debounceMs = 200 } = {}) {
+    this.toolsDir = toolsDir;
+    this.toolHandlers = toolHandlers;
+    this.log = log;
+    this.warn = warn;
+    this.debounceMs = debounceMs;
+    this.fileTools = new Map(); // file -> tool name it registered
+    this.watcher = null;
+    this.timers = new Map();
+  }
+
+  _isToolFile(f) { return f.endsWith(".js"); }
+
+  async _importTool(f, bust = false) {
+    const full = path.join(this.toolsDir, f);
+    let url = pathToFileURL(full).href;
+    if (bust) {
+      const stat = await fs.stat(full);
+      url += `?v=${stat.mtimeMs}-${Date.now()}`;
+    }
+    const mod = await import(url);
+    return mod.default || mod;
+  }
+
+  _register(f, def) {
+    const previous = this.fileTools.get(f);
+    if (previous && previous !== def.name) delete this.toolHandlers[previous];
+    this.toolHandlers[def.name] = attachToolMeta(def);
+    this.fileTools.set(f, def.name);
+  }
+
+  /**
+   * loadFile - (re)load one tool file; returns true if toolHandlers changed
+   */
+  async loadFile(f, { bust = false } = {}) {
+    try {
+      const def = await this._importTool(f, bust);
+      if (!def || !def.name || typeof def.handler !== "function") {
+        this.warn(`Tool ./tools/${f} missing proper export { name, handler }`);
+        return false;
+      }
+      this._register(f, def);
+      this.log(`${bust ? "Reloaded" : "Loaded"} tool ${def.name}`);
+      return true;
+    } catch (err) {
+      const msg = err instanceof Error ? err.message : String(err);
+      this.warn(`Failed to import tool ${f}: ${msg}`);
+      return false;
+    }
+  }
+
+  /**
+   * unloadFile - drop the tool registered by a deleted file
+   */
+  unloadFile(f) {
+    const name = this.fileTools.get(f);
+    if (!name) return false;
+    delete this.toolHandlers[name];
+    this.fileTools.delete(f);
+    this.log(`Unloaded tool ${name}`);
+    return true;
+  }
+
+  async loadAll() {
+    this.log("Loading tools from", this.toolsDir);
+    try {
+      const entries = await fs.readdir(this.toolsDir);
+      for (const f of entries) {
+        if (this._isToolFile(f)) await this.loadFile(f);
+      }
+    } catch (err) {
+      this.warn("tools directory read failed:", err instanceof Error ? err.message : String(err));
+    }
+  }
+
+  /**
+   * watch - hot-reload changed/added/removed tool files; onChange runs after toolHandlers changed
+   */
+  watch(onChange = () => {}) {
+    if (this.watcher) return;
+    try {
+      this.watcher = fsSync.watch(this.toolsDir, (_event, f) => {
+        if (!f || !this._isToolFile(String(f))) return;
+        const file = String(f);
+        clearTimeout(this.timers.get(file));
+        this.timers.set(file, setTimeout(async () => {
+          this.timers.delete(file);
+          const changed = fsSync.existsSync(path.join(this.toolsDir, file))
+            ? await this.loadFile(file, { bust: true })
+            : this.unloadFile(file);
+          if (changed) {
+            try { await onChange(file); } catch (e) { this.warn("tool change handler failed:", e instanceof Error ? e.message : String(e)); }
+          }
+        }, this.debounceMs));
+      });
+      this.watcher.on("error", (e) => this.warn("tools watcher error:", e instanceof Error ? e.message : String(e)));
+      this.log("Watching tools directory for changes", this.toolsDir);
+    } catch (err) {
+      this.warn("tools directory watch failed:", err instanceof Error ? err.message : String(err));
+    }
+  }
+
+  close() {
+    if (this.watcher) this.watcher.close();
+    this.watcher = null;
+    for (const t of this.timers.values()) clearTimeout(t);
+    this.timers.clear();
+  }
+}
+
+export default ToolLoader;
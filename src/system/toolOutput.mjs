@@ -0,0 +1,56 @@
+// src/system/toolOutput.mjs
+/**
+ * ToolOutput - turns a tool handler's return value into an MCP CallToolResult.
+ *
+ * Tools may declare an `outputSchema` next to `schema`; their result is then returned as
+ * `structuredContent` after being validated against it. The JSON text block is always kept
+ * as a fallback for clients that do not read structured content. A result that does not match
+ * its outputSchema is still returned, as an isError result without structuredContent whose
+ * second text block lists the schema errors.
+ */
+
+import { AjvJsonSchemaValidator } from "@modelcontextprotocol/sdk/validation/ajv";
+
+/**
+ * @param {object} [opts]
+ * @param {{ getValidator(schema: any): (input: unknown) => { valid: boolean; errorMessage?: string } }} [opts.jsonSchemaValidator]
+ */
+export default function createToolOutput({ jsonSchemaValidator = new AjvJsonSchemaValidator() } = {}) {
+  const compiled = new WeakMap(); // outputSchema object -> compiled validator
+
+  function validatorFor(schema) {
+    let validate = compiled.get(schema);
+    if (!validate) {
+      validate = jsonSchemaValidator.getValidator(schema);
+      compiled.set(schema, validate);
+    }
+    return validate;
+  }
+
+  return {
+    name: "toolOutput",
+
+    /**
+     * toCallToolResult - marks the result isError when it does not match the declared outputSchema
+     */
+    toCallToolResult(toolName, result, outputSchema = null) {
+      const text = JSON.stringify(result, null, 2);
+      const content = [{ type: "text", text: text === undefined ? "null" : text }];
+      if (!outputSchema) return { content };
+
+      // structuredContent must be a JSON object
+      let problem = null;
+      if (!result || typeof result !== "object" || Array.isArray(result)) {
+        problem = `Tool ${toolName} declares an outputSchema but returned ${Array.isArray(result) ? "an array" : typeof result}`;
+      } else {
+        const check = validatorFor(outputSchema)(result);
+        if (!check.valid) problem = `Tool ${toolName} output does not match its outputSchema: ${check.errorMessage}`;
+      }
+      if (problem) {
+        console.error(`[toolOutput] ${problem}`);
+        return { content: [...content, { type: "text", text: problem }], isError: true };
+      }
+      return { content, structuredContent: result };
+    },
+  };
+}
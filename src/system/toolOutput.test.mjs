@@ -0,0 +1,28 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import createToolOutput from "./toolOutput.mjs";
+
+const outputSchema = { type: "object", properties: { count: { type: "number" } }, required: ["count"] };
+
+test("a result matching its outputSchema is returned as structuredContent", () => {
+  const res = createToolOutput().toCallToolResult("count", { count: 2 }, outputSchema);
+  assert.deepEqual(res.structuredContent, { count: 2 });
+  assert.equal(res.isError, undefined);
+  assert.deepEqual(JSON.parse(res.content[0].text), { count: 2 });
+});
+
+test("a result that does not match its outputSchema comes back as an error with its content", (t) => {
+  t.mock.method(console, "error", () => {});
+  const res = createToolOutput().toCallToolResult("count", { count: "two" }, outputSchema);
+  assert.equal(res.isError, true);
+  assert.equal(res.structuredContent, undefined);
+  assert.deepEqual(JSON.parse(res.content[0].text), { count: "two" });
+  assert.match(res.content[1].text, /Tool count output does not match its outputSchema/);
+});
+
+test("a non-object result for a tool with an outputSchema is an error, not a throw", (t) => {
+  t.mock.method(console, "error", () => {});
+  const res = createToolOutput().toCallToolResult("count", [1], outputSchema);
+  assert.equal(res.isError, true);
+  assert.match(res.content[1].text, /returned an array/);
+});
@@ -1,4 +1,9 @@
 import crypto from "crypto";
+import { abortError, isAbortError, raceAbort, throwIfAborted } from "./abort.mjs";
+import createToolLimiter, { isToolThrottledError, isToolTimeoutError, toolTimeoutError } from "./toolLimits.mjs";
+import { toolValidationError } from "./validator.mjs";
+import { policyDeniedError } from "./policyEngine.mjs";
+import { projectRootOf } from "./resultCache.mjs";
 
 class ToolRunner {
   /**
@@ -9,16 +14,28 @@ class ToolRunner {
    * @param {any} [opts.semanticStore]
    * @param {any} [opts.validator]
    * @param {any} [opts.rectifier]
+   * @param {boolean} [opts.readOnly] refuse tools not annotated with readOnlyHint: true
+   * @param {Record<string, any>} [opts.limits] per-tool timeoutMs / maxConcurrent / callsPerMinute (see toolLimits.mjs)
+   * @param {any} [opts.cache] result cache for read-only tools (see resultCache.mjs)
    */
-  constructor({ taskManager = null, eventBus = null, db = null, semanticStore = null, validator = null, rectifier = null } = {}) {
+  constructor({ taskManager = null, eventBus = null, db = null, semanticStore = null, validator = null, rectifier = null, readOnly = false, limits = {}, cache = null } = {}) {
     this.taskManager = taskManager; this.eventBus = eventBus; this.db = db; this.semanticStore = semanticStore; this.validator = validator; this.rectifier = rectifier;
+    this.readOnly = !!readOnly;
+    this.limiter = createToolLimiter(limits || {});
+    this.cache = cache;
   }
 
   _now() { return new Date().toISOString(); }
 
-  async _persistRun(record) {
-    if (!this.db || typeof this.db.saveToolRun !== "function") return;
-    try { await this.db.saveToolRun(record); } catch (e) { console.error("[ToolRunner] saveToolRun failed", e); }
+  // MCP defaults readOnlyHint to false, so unannotated tools count as writers
+  _isReadOnly(handler) {
+    return !!(handler && handler.annotations && handler.annotations.readOnlyHint === true);
+  }
+
+  // tool runs go to the calling workspace's DB when the context carries one
+  async _persistRun(record, db = this.db) {
+    if (!db || typeof db.saveToolRun !== "function") return;
+    try { await db.saveToolRun(record); } catch (e) { console.error("[ToolRunner] saveToolRun failed", e); }
   }
 
   async _saveTranscript(transcript) {
@@ -26,44 +43,109 @@ class ToolRunner {
     try { await this.semanticStore.saveToolTranscript(transcript); } catch (e) { console.error("[ToolRunner] saveTranscript failed", e); }
   }
 
+  /**
+   * options: { onProgress?, signal?: AbortSignal } - an aborted signal rejects the call with an
+   * AbortError; the handler gets a signal that aborts with it, and on timeout, so it can stop its own work.
+   * Per-tool limits reject with a ToolTimeoutError or ToolThrottledError (status timeout / throttled).
+   * Args failing validation reject with a ToolValidationError carrying field-level errors,
+   * calls denied by the policy with a ToolPolicyError carrying the decision.
+   * Cached read-only tools return a stored result (status cache_hit) unless options.cache === false.
+   */
   async call(toolHandlers, toolName, args = {}, context = {}, options = {}) {
     const id = crypto.randomUUID(); const startedAt = this._now();
-    // validate
+    const { signal } = options;
+    throwIfAborted(signal, `Tool ${toolName}`);
+    if (this.readOnly && typeof toolHandlers[toolName] === "function" && !this._isReadOnly(toolHandlers[toolName])) {
+      if (this.eventBus) await this.eventBus.emitPersisted("tool.refused", { id, toolName, reason: "read-only mode", ts: startedAt });
+      throw new Error(`Tool ${toolName} is not read-only and is refused in read-only mode`);
+    }
+    const handler = toolHandlers[toolName];
+    // validate: schema (defaults filled in) and policy; the rectifier gets one try and its args are checked again.
+    // Policy denials are final. A rectification is stored as a tool.rectified event and on the tool run.
+    let rectification = null;
     if (this.validator && typeof this.validator.validateToolCall === "function") {
-      const v = await this.validator.validateToolCall({ toolName, args, context });
+      const schema = handler ? handler.schema : null;
+      const v = await this.validator.validateToolCall({ toolName, args, context, schema });
+      if (v && v.final) throw policyDeniedError(toolName, v.policy);
       if (!v || v.accepted === false) {
-        if (this.rectifier && typeof this.rectifier.rectify === "function") {
-          const rect = await this.rectifier.rectify({ toolName, args, context, reason: v && v.reason ? v.reason : "rejected" });
-          if (rect && rect.args) args = rect.args; else throw new Error("Tool call rejected by validator and rectifier could not fix: " + (v && v.reason ? v.reason : "rejected"));
-        } else throw new Error("Tool call rejected by validator: " + (v && v.reason ? v.reason : "rejected"));
+        const reason = v && v.reason ? v.reason : "rejected";
+        const errors = (v && v.errors) || [];
+        if (!this.rectifier || typeof this.rectifier.rectify !== "function") throw toolValidationError(toolName, reason, errors);
+        const rect = await this.rectifier.rectify({ toolName, args, context, reason, errors, schema });
+        if (!rect || !rect.args) throw toolValidationError(toolName, `${reason} (rectifier could not fix it)`, errors);
+        rectification = { source: rect.source || null, reason, fixes: rect.fixes || [], diff: rect.diff || [] };
+        if (this.eventBus) await this.eventBus.emitPersisted("tool.rectified", { id, toolName, ...rectification, before: args, after: rect.args, ts: this._now() });
+        const recheck = await this.validator.validateToolCall({ toolName, args: rect.args, context, schema, skipLlm: true });
+        if (recheck && recheck.final) throw policyDeniedError(toolName, recheck.policy);
+        if (!recheck || recheck.accepted === false) throw toolValidationError(toolName, `${recheck && recheck.reason ? recheck.reason : "rejected"} (after rectification)`, (recheck && recheck.errors) || []);
+        args = recheck.args || rect.args;
+      } else if (v.args) args = v.args;
+    }
+
+    const readOnly = this._isReadOnly(handler);
+    const projectRoot = projectRootOf(args, context);
+    const cacheable = !!this.cache && readOnly && options.cache !== false && this.cache.isCached(toolName);
+    if (cacheable) {
+      const hit = this.cache.get(toolName, args, projectRoot);
+      if (hit) {
+        const record = { id, toolName, args, status: "cache_hit", result: hit.result, error: null, startedAt, finishedAt: startedAt, durationMs: 0, readOnly, projectRoot, contextMeta: { projectRoot: context?.projectRoot || null, cacheKey: hit.key, cacheAgeMs: hit.ageMs, ...(rectification ? { rectification } : {}) } };
+        await this._persistRun(record, context?.db || this.db).catch(() => {});
+        if (this.eventBus) await this.eventBus.emitPersisted("tool.cache_hit", record);
+        return hit.result;
       }
     }
 
-    if (this.eventBus) await this.eventBus.emitPersisted("tool.start", { id, toolName, args, ts: startedAt });
+    if (this.eventBus) await this.eventBus.emitPersisted("tool.start", { id, toolName, args, projectRoot, ts: startedAt });
 
-    const handler = toolHandlers[toolName];
     if (typeof handler !== "function") throw new Error("Unknown tool: " + toolName);
 
-    const onLog = (m) => { try { if (this.eventBus) this.eventBus.emit("tool.log", { id, toolName, log: m, ts: new Date().toISOString() }); if (options.onProgress) options.onProgress(m); } catch (e) {} };
+    // progress sink: options.onProgress receives { progress?, total?, message? }
+    const onLog = (m) => { try { if (this.eventBus) this.eventBus.emit("tool.log", { id, toolName, log: m, ts: new Date().toISOString() }); if (options.onProgress) options.onProgress({ message: String(m) }); } catch (e) {} };
+    const onProgress = (p = {}) => { try { if (this.eventBus) this.eventBus.emit("tool.progress", { id, toolName, ...p, ts: new Date().toISOString() }); if (options.onProgress) options.onProgress(p); } catch (e) {} };
+
+    const { timeoutMs } = this.limiter.policyFor(toolName);
+    const controller = new AbortController();
+    const forwardAbort = () => controller.abort(signal.reason);
+    if (signal) signal.addEventListener("abort", forwardAbort, { once: true });
 
-    let result = null; let error = null;
+    let result = null; let error = null; let status = "completed"; let failure = null; let release = null;
+    let handlerDone = null; // settles with the handler itself, which may outlive a timeout or cancellation
     try {
-      // handler signature: handler(args, context, { onLog })
-      result = await handler(args, context, { onLog });
+      release = await this.limiter.acquire(toolName, { signal, onAbort: () => abortError(signal, `Tool ${toolName}`) });
+      // handler signature: handler(args, context, { onLog, onProgress, signal })
+      const pending = (async () => handler(args, context, { onLog, onProgress, signal: controller.signal }))();
+      handlerDone = pending.then(() => {}, () => {});
+      const running = raceAbort(pending, signal, `Tool ${toolName}`);
+      result = await this.limiter.withTimeout(running, toolName, timeoutMs, () => controller.abort(toolTimeoutError(toolName, timeoutMs)));
     } catch (e) {
+      failure = e;
+      if (isToolTimeoutError(e)) status = "timeout";
+      else if (isToolThrottledError(e)) status = "throttled";
+      else status = isAbortError(e) || (signal && signal.aborted) ? "cancelled" : "failed";
       error = String(e);
+    } finally {
+      // the concurrency slot stays taken until the handler really stops, not just until we stop waiting
+      if (release) { if (handlerDone) handlerDone.then(release); else release(); }
+      if (signal) signal.removeEventListener("abort", forwardAbort);
     }
 
     const finishedAt = this._now();
-    const record = { id, toolName, args, result: error ? null : result, error, startedAt, finishedAt, durationMs: Date.parse(finishedAt) - Date.parse(startedAt), contextMeta: { projectRoot: context?.projectRoot || null } };
+    const record = { id, toolName, args, status, result: error ? null : result, error, startedAt, finishedAt, durationMs: Date.parse(finishedAt) - Date.parse(startedAt), readOnly, projectRoot, contextMeta: { projectRoot: context?.projectRoot || null, ...(rectification ? { rectification } : {}) } };
 
-    await this._persistRun(record).catch(() => {});
+    await this._persistRun(record, context?.db || this.db).catch(() => {});
     await this._saveTranscript({ id, toolName, args, result: error ? { error } : result, ts: finishedAt }).catch(() => {});
 
-    if (error) {
+    if (status === "cancelled") {
+      if (this.eventBus) await this.eventBus.emitPersisted("tool.cancelled", record);
+      throw abortError(signal, `Tool ${toolName}`);
+    } else if (status === "timeout" || status === "throttled") {
+      if (this.eventBus) await this.eventBus.emitPersisted(`tool.${status}`, record);
+      throw failure;
+    } else if (error) {
       if (this.eventBus) await this.eventBus.emitPersisted("tool.error", record);
       throw new Error(error);
     } else {
+      if (cacheable) this.cache.set(toolName, args, projectRoot, result);
       if (this.eventBus) await this.eventBus.emitPersisted("tool.end", record);
       return result;
     }
@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import ToolRunner from "./toolRunner.mjs";
+import { isToolThrottledError, isToolTimeoutError } from "./toolLimits.mjs";
+
+test("a timed-out call keeps its concurrency slot until the handler settles", async () => {
+  const runner = new ToolRunner({ limits: { slow: { timeoutMs: 10, maxConcurrent: 1, queueTimeoutMs: 30 } } });
+  let finish;
+  let sawAbort = false;
+  const slow = async (args, context, { signal }) => {
+    signal.addEventListener("abort", () => { sawAbort = true; });
+    await new Promise((resolve) => { finish = resolve; });
+    return "late";
+  };
+  const handlers = { slow };
+
+  await assert.rejects(runner.call(handlers, "slow", {}), isToolTimeoutError);
+  assert.equal(sawAbort, true);
+  // the first handler is still running, so a second call cannot get the slot
+  await assert.rejects(runner.call(handlers, "slow", {}), isToolThrottledError);
+
+  finish();
+  await new Promise((r) => setImmediate(r));
+  const next = runner.call({ slow: async () => "ok" }, "slow", {});
+  assert.equal(await next, "ok");
+});
+
+test("a cancelled call keeps its slot until the handler settles", async () => {
+  const runner = new ToolRunner({ limits: { t: { maxConcurrent: 1, queueTimeoutMs: 30 } } });
+  let finish;
+  const handlers = { t: async () => { await new Promise((resolve) => { finish = resolve; }); } };
+  const controller = new AbortController();
+  const first = runner.call(handlers, "t", {}, {}, { signal: controller.signal });
+  await new Promise((r) => setImmediate(r));
+  controller.abort("stop");
+  await assert.rejects(first, { name: "AbortError" });
+  await assert.rejects(runner.call(handlers, "t", {}), isToolThrottledError);
+  finish();
+  await new Promise((r) => setImmediate(r));
+  assert.equal(await runner.call({ t: async () => 1 }, "t", {}), 1);
+});
+
+test("a handler that throws synchronously fails the call and frees the slot", async () => {
+  const runner = new ToolRunner({ limits: { t: { maxConcurrent: 1, queueTimeoutMs: 30 } } });
+  await assert.rejects(runner.call({ t: () => { throw new Error("boom"); } }, "t", {}), /boom/);
+  await new Promise((r) => setImmediate(r));
+  assert.equal(await runner.call({ t: async () => 2 }, "t", {}), 2);
+});
@@ -1,23 +1,135 @@
-export default function createValidator({ ollamaTool = null } = {}) {
+// src/system/validator.mjs
+/**
+ * Validator - checks a tool call before ToolRunner runs it.
+ *
+ * Args are validated against the tool's JSON schema first (required fields, types, enums...) and
+ * the schema's defaults are filled in. A failed check returns field-level errors:
+ *   { accepted: false, reason, errors: [{ field: "query", keyword: "required", message: "query is required" }] }
+ * Calls that pass get { accepted: true, args } with the defaults applied.
+ *
+ * Calls that pass the schema are then checked against the policy engine (policyEngine.mjs), if any.
+ * A policy denial is final ({ accepted: false, final: true, policy }), so it is not handed to the rectifier.
+ *
+ * Asking Ollama whether the call looks appropriate is optional ("validator": { "llmCheck": true }).
+ */
+
+import { Ajv } from "ajv";
+import addFormats from "ajv-formats";
+
+function createAjv() {
+  const ajv = new Ajv({ strict: false, allErrors: true, useDefaults: true, validateSchema: false });
+  addFormats(ajv);
+  return ajv;
+}
+
+// "/items/0/name" -> "items[0].name"
+function fieldOf(instancePath, child = null) {
+  const segments = String(instancePath || "").split("/").slice(1).map((s) => s.replace(/~1/g, "/").replace(/~0/g, "~"));
+  if (child !== null) segments.push(child);
+  return segments.reduce((acc, s) => (/^\d+$/.test(s) ? `${acc}[${s}]` : acc ? `${acc}.${s}` : s), "");
+}
+
+/**
+ * schemaErrors - Ajv errors as { field, keyword, message }
+ */
+export function schemaErrors(ajvErrors = []) {
+  return (ajvErrors || []).map((e) => {
+    if (e.keyword === "required") {
+      const field = fieldOf(e.instancePath, e.params.missingProperty);
+      return { field, keyword: e.keyword, message: `${field} is required` };
+    }
+    if (e.keyword === "additionalProperties") {
+      const field = fieldOf(e.instancePath, e.params.additionalProperty);
+      return { field, keyword: e.keyword, message: `${field} is not allowed` };
+    }
+    const field = fieldOf(e.instancePath) || "args";
+    const message = e.keyword === "enum"
+      ? `${field} must be one of: ${e.params.allowedValues.map((v) => JSON.stringify(v)).join(", ")}`
+      : `${field} ${e.message}`;
+    return { field, keyword: e.keyword, message };
+  });
+}
+
+/**
+ * toolValidationError - Error carrying field-level errors (mapped to InvalidParams by the server)
+ */
+export function toolValidationError(toolName, reason, errors = []) {
+  const err = new Error(`Invalid arguments for ${toolName}: ${reason}`);
+  err.name = "ToolValidationError";
+  err.errors = errors;
+  return err;
+}
+
+export function isToolValidationError(e) {
+  return !!e && e.name === "ToolValidationError";
+}
+
+/**
+ * @param {object} [opts]
+ * @param {any} [opts.ollamaTool]
+ * @param {boolean} [opts.llmCheck] also ask the model whether the call is appropriate
+ * @param {any} [opts.policy] policy engine (see policyEngine.mjs)
+ */
+export default function createValidator({ ollamaTool = null, llmCheck = false, policy = null } = {}) {
+  const ajv = createAjv();
+  const compiled = new WeakMap(); // schema object -> ajv validate function (or null if it does not compile)
+
+  function validatorFor(toolName, schema) {
+    if (!schema || typeof schema !== "object") return null;
+    if (!compiled.has(schema)) {
+      let validate = null;
+      try { validate = ajv.compile(schema); } catch (e) {
+        console.error(`[validator] schema of ${toolName} does not compile, skipping it:`, e instanceof Error ? e.message : String(e));
+      }
+      compiled.set(schema, validate);
+    }
+    return compiled.get(schema);
+  }
+
   return {
-    async validateToolCall({ toolName, args, context } = {}) {
+    /**
+     * checkSchema - validate args (a copy, defaults filled in) against a JSON schema
+     */
+    checkSchema(toolName, schema, args) {
+      const validate = validatorFor(toolName, schema);
+      let copy = {};
+      if (args !== undefined && args !== null) {
+        try { copy = structuredClone(args); } catch { copy = { ...args }; }
+      }
+      if (!validate || validate(copy)) return { accepted: true, args: copy };
+      const errors = schemaErrors(validate.errors);
+      return { accepted: false, reason: errors.map((e) => e.message).join("; "), errors };
+    },
+
+    /**
+     * validateToolCall - skipLlm leaves out the Ollama check (used when re-checking rectified args)
+     */
+    async validateToolCall({ toolName, args, context, schema = null, skipLlm = false } = {}) {
       if (!toolName) return { accepted: false, reason: "missing toolName" };
       if (args && args.sideEffect === true && args.allowSideEffects !== true) return { accepted: false, reason: "sideEffect blocked" };
       if (toolName === "apply_patch" && (!args || !args.patch)) return { accepted: false, reason: "apply_patch requires patch" };
 
-      if (ollamaTool && typeof ollamaTool.handler === "function") {
+      const checked = this.checkSchema(toolName, schema, args);
+      if (!checked.accepted) return checked;
+
+      if (policy && typeof policy.check === "function") {
+        const { allowed, decision } = await policy.check({ toolName, args: checked.args, context });
+        if (!allowed) return { accepted: false, final: true, reason: decision.reason, policy: decision };
+      }
+
+      if (llmCheck && !skipLlm && ollamaTool && typeof ollamaTool.handler === "function") {
         try {
-          const prompt = `Validator: is calling ${toolName} with args ${JSON.stringify(args)} appropriate? Return JSON {"accepted": true/false, "reason":"..."} `;
+          const prompt = `Validator: is calling ${toolName} with args ${JSON.stringify(checked.args)} appropriate? Return JSON {"accepted": true/false, "reason":"..."} `;
           const resp = await ollamaTool.handler({ prompt, mode: "validate" }, context);
           if (resp && resp.text) {
-            try { const parsed = JSON.parse(resp.text); if (typeof parsed.accepted === "boolean") return parsed; } catch (e) {}
+            try { const parsed = JSON.parse(resp.text); if (parsed.accepted === false) return parsed; } catch (e) {}
           }
         } catch (e) {
           console.error("[validator] LLM check failed", e);
         }
       }
 
-      return { accepted: true };
+      return { accepted: true, args: checked.args };
     }
   };
 }
@@ -0,0 +1,86 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import createValidator, { isToolValidationError, toolValidationError } from "./validator.mjs";
+
+const schema = {
+  type: "object",
+  properties: {
+    action: { type: "string", enum: ["read", "write"] },
+    limit: { type: "number", default: 10 },
+    items: { type: "array", items: { type: "object", properties: { name: { type: "string" } }, required: ["name"] } },
+  },
+  required: ["action"],
+  additionalProperties: false,
+};
+
+test("schema failures come back as field-level errors", () => {
+  const validator = createValidator();
+  const res = validator.checkSchema("t", schema, { action: "delete", extra: 1, items: [{ name: "a" }, {}] });
+  assert.equal(res.accepted, false);
+  const byField = Object.fromEntries(res.errors.map((e) => [e.field, e]));
+  assert.equal(byField.action.keyword, "enum");
+  assert.match(byField.action.message, /must be one of: "read", "write"/);
+  assert.equal(byField.extra.message, "extra is not allowed");
+  assert.equal(byField["items[1].name"].message, "items[1].name is required");
+  assert.equal(res.reason, res.errors.map((e) => e.message).join("; "));
+
+  assert.deepEqual(validator.checkSchema("t", schema, {}).errors, [{ field: "action", keyword: "required", message: "action is required" }]);
+});
+
+test("defaults are filled in on a copy of the args", () => {
+  const args = { action: "read" };
+  const res = createValidator().checkSchema("t", schema, args);
+  assert.deepEqual(res, { accepted: true, args: { action: "read", limit: 10 } });
+  assert.deepEqual(args, { action: "read" });
+});
+
+test("tools without a schema accept any args", async () => {
+  assert.deepEqual(await createValidator().validateToolCall({ toolName: "t", args: { x: 1 } }), { accepted: true, args: { x: 1 } });
+});
+
+test("hard-coded rules reject before the schema is checked", async () => {
+  const validator = createValidator();
+  assert.deepEqual(await validator.validateToolCall({ args: {} }), { accepted: false, reason: "missing toolName" });
+  assert.equal((await validator.validateToolCall({ toolName: "t", args: { sideEffect: true } })).reason, "sideEffect blocked");
+  assert.equal((await validator.validateToolCall({ toolName: "t", args: { sideEffect: true, allowSideEffects: true } })).accepted, true);
+  assert.equal((await validator.validateToolCall({ toolName: "apply_patch", args: {} })).reason, "apply_patch requires patch");
+});
+
+test("a policy denial is final and the policy sees the args with defaults", async () => {
+  let seen = null;
+  const policy = {
+    async check({ args }) {
+      seen = args;
+      return { allowed: false, decision: { effect: "deny", reason: "writes are off" } };
+    },
+  };
+  const res = await createValidator({ policy }).validateToolCall({ toolName: "t", schema, args: { action: "write" } });
+  assert.deepEqual(res, { accepted: false, final: true, reason: "writes are off", policy: { effect: "deny", reason: "writes are off" } });
+  assert.deepEqual(seen, { action: "write", limit: 10 });
+});
+
+test("the policy is not asked when the schema already fails", async () => {
+  let asked = false;
+  const policy = { async check() { asked = true; return { allowed: true, decision: null }; } };
+  const res = await createValidator({ policy }).validateToolCall({ toolName: "t", schema, args: {} });
+  assert.equal(res.accepted, false);
+  assert.equal(res.final, undefined);
+  assert.equal(asked, false);
+});
+
+test("the Ollama check only runs when llmCheck is on and not skipped", async () => {
+  let prompts = 0;
+  const ollamaTool = { async handler() { prompts++; return { text: JSON.stringify({ accepted: false, reason: "looks wrong" }) }; } };
+  assert.equal((await createValidator({ ollamaTool }).validateToolCall({ toolName: "t", args: {} })).accepted, true);
+  const checking = createValidator({ ollamaTool, llmCheck: true });
+  assert.equal((await checking.validateToolCall({ toolName: "t", args: {}, skipLlm: true })).accepted, true);
+  assert.deepEqual(await checking.validateToolCall({ toolName: "t", args: {} }), { accepted: false, reason: "looks wrong" });
+  assert.equal(prompts, 1);
+});
+
+test("toolValidationError carries the errors and is recognised by name", () => {
+  const err = toolValidationError("t", "action is required", [{ field: "action" }]);
+  assert.equal(isToolValidationError(err), true);
+  assert.deepEqual(err.errors, [{ field: "action" }]);
+  assert.equal(isToolValidationError(new Error("x")), false);
+});
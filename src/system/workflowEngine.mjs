@@ -1,12 +1,35 @@
 // src/system/workflowEngine.mjs
 import { setTimeout as wait } from "timers/promises";
+import { abortError, isAbortError, throwIfAborted } from "./abort.mjs";
+import { evaluateCondition } from "./planExpressions.mjs";
+
+const TERMINAL = ["completed", "failed", "partially_failed", "cancelled", "interrupted", "skipped"];
+// TaskManager events that settle a task; dependency waits resolve on these
+const SETTLED_EVENTS = ["task.completed", "task.failed", "task.partially_failed", "task.cancelled", "task.interrupted", "task.skipped"];
+
+// errors that fail the same way on every attempt: policy denials (including declined
+// confirmations), invalid args and rate-limit refusals, or anything marked retryable: false
+const NON_RETRYABLE = ["ToolPolicyError", "ToolValidationError", "ToolThrottledError"];
+
+function isRetryable(err) {
+  return !(err && (NON_RETRYABLE.includes(err.name) || err.retryable === false));
+}
+
+function skipError(taskId, dep, status) {
+  const err = new Error(`Skipped ${taskId}: dependency ${dep} ${status}`);
+  err.skipped = true;
+  return err;
+}
 
 /**
  * Lightweight WorkflowEngine implementing:
  * - registration of nodes (tasks)
- * - dependency graph (edges)
+ * - dependency graph (edges) with cycle / unknown-dependency checks in runGraph
+ * - event-driven dependency waits (TaskManager task.* events); dependents of a failed node are skipped
  * - scheduling with configurable concurrency (internal queue)
  * - retry wrapper support
+ * - `when` conditions on nodes and a per-run scope of step results (see planExpressions.mjs)
+ * - cancellation via AbortSignal (scheduleTask opts.signal, runGraph opts.signal, cancel())
  *
  * No external deps. Designed for production but simple to reason about.
  */
@@ -65,97 +88,406 @@ class WorkflowEngine {
     this.db = db;
     this.queue = new SimpleQueue(concurrency);
     this.graph = new Map(); // taskId -> { deps: Set, dependents: Set }
+    this.runs = new Map(); // rootTaskId -> AbortController of an in-flight runGraph
+    this.nodes = new Map(); // taskId -> persisted node definition
+    this.byRoot = new Map(); // rootTaskId -> Set of node ids
+    this.waiters = new Map(); // taskId -> Set of callbacks waiting for it to settle
+
+    if (this.eventBus) {
+      for (const name of SETTLED_EVENTS) {
+        this.eventBus.on(name, (task) => { if (task && task.id) this._notifySettled(task.id, task.status); });
+      }
+    }
+  }
+
+  _notifySettled(taskId, status) {
+    const set = this.waiters.get(taskId);
+    if (!set) return;
+    this.waiters.delete(taskId);
+    for (const cb of set) cb(status);
+  }
+
+  // abortable sleep; normalises the timers/promises rejection to our AbortError
+  async _sleep(ms, signal) {
+    try {
+      await wait(ms, undefined, signal ? { signal } : undefined);
+    } catch (e) {
+      if (signal && signal.aborted) throw abortError(signal, "Workflow task");
+      throw e;
+    }
   }
 
   _ensureNode(id) {
     if (!this.graph.has(id)) this.graph.set(id, { deps: new Set(), dependents: new Set() });
   }
 
+  /**
+   * registerTask - record a node definition. Definitions are serialisable
+   * ({ id, rootTaskId, tool, args, dependsOn, retries, timeoutMs, projectRoot }) and are merged with
+   * what was registered before, then persisted so loadFromDb can resume them after a restart.
+   */
   async registerTask(task) {
     if (!task || !task.id) throw new Error("Invalid task for registerTask");
     this._ensureNode(task.id);
+    const def = { ...(this.nodes.get(task.id) || {}), ...task };
+    this._setNode(def);
     if (this.db && typeof this.db.saveWorkflowNode === "function") {
-      try { await this.db.saveWorkflowNode(task); } catch (e) { console.error("[WorkflowEngine] saveWorkflowNode failed", e); }
+      try { await this.db.saveWorkflowNode({ id: def.id, payload: def }); } catch (e) { console.error("[WorkflowEngine] saveWorkflowNode failed", e); }
+    }
+    return def;
+  }
+
+  // store a node definition and index it by its root (a node without one is its own root)
+  _setNode(def) {
+    const prev = this.nodes.get(def.id);
+    const root = def.rootTaskId || def.id;
+    if (prev && (prev.rootTaskId || prev.id) !== root) {
+      const ids = this.byRoot.get(prev.rootTaskId || prev.id);
+      if (ids) { ids.delete(def.id); if (!ids.size) this.byRoot.delete(prev.rootTaskId || prev.id); }
+    }
+    this.nodes.set(def.id, def);
+    if (!this.byRoot.has(root)) this.byRoot.set(root, new Set());
+    this.byRoot.get(root).add(def.id);
+  }
+
+  /**
+   * forget - drop the nodes of a root whose run has settled, from memory and from the db;
+   * returns how many were dropped
+   */
+  async forget(rootTaskId) {
+    const ids = Array.from(this.byRoot.get(rootTaskId) || []);
+    this.byRoot.delete(rootTaskId);
+    for (const id of ids) {
+      this.nodes.delete(id);
+      const g = this.graph.get(id);
+      if (g) {
+        for (const d of g.deps) { const dep = this.graph.get(d); if (dep) dep.dependents.delete(id); }
+        for (const d of g.dependents) { const dependent = this.graph.get(d); if (dependent) dependent.deps.delete(id); }
+        this.graph.delete(id);
+      }
     }
-    return task;
+    if (ids.length && this.db && typeof this.db.deleteWorkflowNodes === "function") {
+      try { await this.db.deleteWorkflowNodes(ids); } catch (e) { console.error("[WorkflowEngine] deleteWorkflowNodes failed", e); }
+    }
+    return ids.length;
+  }
+
+  /**
+   * loadFromDb - after a restart, re-queue nodes whose task is still pending/running.
+   * buildFn(node, task) returns the fn to run (or null); nodes without one are marked interrupted.
+   * Resumed nodes run in the background, grouped by their root task. onSettled(rootTaskId) is called
+   * once a resumed run settles, or right away for roots whose nodes were all interrupted.
+   * Roots with nothing left to run are dropped (see forget) instead of loaded.
+   */
+  async loadFromDb({ buildFn = null, resume = true, onSettled = null } = {}) {
+    const out = { resumed: [], interrupted: [] };
+    if (!this.db || typeof this.db.listWorkflowNodes !== "function" || !this.taskManager) return out;
+
+    const rows = (await this.db.listWorkflowNodes()).map((row) => ({ ...(row.payload || {}), id: row.id }));
+    const live = rows.filter((node) => {
+      const task = this.taskManager.getTask(node.id);
+      return !!task && !TERMINAL.includes(task.status);
+    });
+    // settled nodes are kept only for the scope of their unsettled siblings
+    const liveRoots = new Set(live.map((node) => node.rootTaskId || node.id));
+    for (const node of rows) this._setNode(node);
+    for (const root of new Set(rows.map((node) => node.rootTaskId || node.id))) {
+      if (!liveRoots.has(root)) await this.forget(root);
+    }
+
+    const byRoot = new Map();
+    const interruptedRoots = new Set();
+    for (const node of live) {
+      const task = this.taskManager.getTask(node.id);
+
+      let fn = null;
+      if (resume && buildFn) {
+        try { fn = await buildFn(node, task); } catch (e) { console.error("[WorkflowEngine] resume build failed", node.id, e); }
+      }
+      if (typeof fn !== "function") {
+        await this.taskManager.interruptTask(node.id, "interrupted by server restart").catch(() => {});
+        out.interrupted.push(node.id);
+        interruptedRoots.add(node.rootTaskId || node.id);
+        continue;
+      }
+      const root = node.rootTaskId || node.id;
+      if (!byRoot.has(root)) byRoot.set(root, []);
+      byRoot.get(root).push({ id: node.id, fn, dependsOn: node.dependsOn || [], retries: node.retries, timeoutMs: node.timeoutMs, node });
+      out.resumed.push(node.id);
+    }
+
+    for (const [root, steps] of byRoot) {
+      if (this.eventBus) this.eventBus.emit("workflow.resumed", { rootTaskId: root, taskIds: steps.map((s) => s.id) });
+      this.runGraph(root, steps)
+        .then(() => onSettled && onSettled(root))
+        .catch((e) => console.error("[WorkflowEngine] resumed run failed", root, e));
+    }
+    for (const root of interruptedRoots) {
+      if (byRoot.has(root)) continue;
+      await this.forget(root);
+      if (!onSettled) continue;
+      try { await onSettled(root); } catch (e) { console.error("[WorkflowEngine] onSettled failed", root, e); }
+    }
+    return out;
   }
 
   addDependency(taskId, dependsOnTaskId) {
+    if (taskId === dependsOnTaskId || this._reaches(dependsOnTaskId, taskId)) {
+      throw new Error(`Dependency cycle: ${taskId} -> ${dependsOnTaskId}`);
+    }
     this._ensureNode(taskId);
     this._ensureNode(dependsOnTaskId);
     this.graph.get(taskId).deps.add(dependsOnTaskId);
     this.graph.get(dependsOnTaskId).dependents.add(taskId);
   }
 
+  // true if `from` (transitively) depends on `to`
+  _reaches(from, to) {
+    const seen = new Set();
+    const stack = [from];
+    while (stack.length) {
+      const id = stack.pop();
+      if (id === to) return true;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const node = this.graph.get(id);
+      if (node) stack.push(...node.deps);
+    }
+    return false;
+  }
+
   /**
-   * Wait for dependencies to be completed (polling).
-   * Timeout is optional ms (default 2min)
+   * Resolve with a task's status once it is settled (TaskManager task.* events).
+   * Unknown tasks resolve immediately with null. timeoutMs is optional (no timeout by default).
    */
-  async _waitForDeps(deps = [], timeoutMs = 120000) {
+  _waitForTask(taskId, { signal = null, timeoutMs = null } = {}) {
+    const t = this.taskManager.getTask(taskId);
+    if (!t) return Promise.resolve(null);
+    if (TERMINAL.includes(t.status)) return Promise.resolve(t.status);
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const cleanup = () => {
+        const set = this.waiters.get(taskId);
+        if (set) { set.delete(onSettled); if (!set.size) this.waiters.delete(taskId); }
+        if (timer) clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", onAbort);
+      };
+      const onSettled = (status) => { cleanup(); resolve(status); };
+      const onAbort = () => { cleanup(); reject(abortError(signal, "Workflow task")); };
+
+      if (!this.waiters.has(taskId)) this.waiters.set(taskId, new Set());
+      this.waiters.get(taskId).add(onSettled);
+      if (signal) {
+        if (signal.aborted) return onAbort();
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+      if (timeoutMs) timer = setTimeout(() => { cleanup(); reject(new Error(`Timeout waiting for dependency ${taskId}`)); }, timeoutMs);
+    });
+  }
+
+  /**
+   * Wait for dependencies to complete; rejects with a skip error when one did not complete
+   */
+  async _waitForDeps(taskId, deps = [], timeoutMs = null, signal = null) {
     const start = Date.now();
     for (const dep of deps) {
-      while (true) {
-        const dTask = this.taskManager.getTask(dep);
-        if (!dTask) break; // if unknown, skip
-        if (dTask.status === "completed") break;
-        if (dTask.status === "failed") throw new Error(`Dependency ${dep} failed`);
-        if (Date.now() - start > timeoutMs) throw new Error(`Timeout waiting for dependency ${dep}`);
-        await wait(250);
-      }
+      throwIfAborted(signal, "Workflow task");
+      const left = timeoutMs ? Math.max(1, timeoutMs - (Date.now() - start)) : null;
+      const status = await this._waitForTask(dep, { signal, timeoutMs: left });
+      if (status !== null && status !== "completed") throw skipError(taskId, dep, status);
     }
   }
 
   /**
-   * Wrap a function with retry policy
+   * Record the final outcome on the node's TaskManager task, unless the fn already did;
+   * dependents wait on these statuses.
    */
-  async _withRetry(fn, { retries = 3, backoffMs = 500 } = {}) {
+  async _settleTask(taskId, status, value) {
+    const t = this.taskManager && this.taskManager.getTask(taskId);
+    if (!t || TERMINAL.includes(t.status)) return;
+    try {
+      if (status === "completed") await this.taskManager.completeTask(taskId, value);
+      else if (status === "cancelled") await this.taskManager.cancelTask(taskId, value instanceof Error ? value.message : String(value));
+      else if (status === "skipped") await this.taskManager.skipTask(taskId, value instanceof Error ? value.message : String(value));
+      else await this.taskManager.failTask(taskId, value instanceof Error ? value.message : String(value));
+    } catch (e) {
+      console.error("[WorkflowEngine] settle task failed", taskId, e);
+    }
+  }
+
+  /**
+   * scopeFor - { steps } for expressions in a run: every node of rootTaskId keyed by its stepId
+   * (or task id) with the task's status, result and error
+   */
+  scopeFor(rootTaskId) {
+    const steps = {};
+    if (!rootTaskId) return { steps };
+    for (const id of this.byRoot.get(rootTaskId) || []) {
+      const node = this.nodes.get(id);
+      if (!node || node.rootTaskId !== rootTaskId) continue;
+      const t = this.taskManager ? this.taskManager.getTask(node.id) : null;
+      const entry = { id: node.id, status: t ? t.status : null, result: t ? t.result : null, error: t ? t.error : null };
+      steps[node.id] = entry;
+      if (node.stepId) steps[node.stepId] = entry;
+    }
+    return { steps };
+  }
+
+  /**
+   * Wrap a function with retry policy; cancellation and non-retryable errors are never retried
+   */
+  async _withRetry(fn, { retries = 3, backoffMs = 500, signal = null, scope = null } = {}) {
     let attempt = 0;
     while (true) {
+      throwIfAborted(signal, "Workflow task");
       try {
-        return await fn();
+        return await fn({ signal, scope });
       } catch (err) {
+        if (isAbortError(err) || (signal && signal.aborted) || !isRetryable(err)) throw err;
         attempt++;
         if (attempt > retries) throw err;
         const waitMs = backoffMs * Math.pow(2, attempt - 1);
-        await wait(waitMs);
+        await this._sleep(waitMs, signal);
       }
     }
   }
 
   /**
    * Schedule a task function for execution after dependencies are satisfied.
-   * fn should be an async function returning result.
+   * fn should be an async function returning result; it receives { signal, scope } and should
+   * stop its work when the signal aborts. An aborted signal rejects with an AbortError.
+   * scope is scopeFor(node.rootTaskId); a node whose `when` is false against it is skipped.
+   * Dependencies are awaited before the task takes a queue slot, so waiting tasks never
+   * block the ones they wait on. timeoutMs bounds the dependency wait (none by default).
    */
-  async scheduleTask(taskId, fn, { dependsOn = [], retries = 2, timeoutMs = 120000 } = {}) {
-    await this.registerTask({ id: taskId });
+  async scheduleTask(taskId, fn, { dependsOn = [], retries = 2, timeoutMs = null, signal = null, node = {} } = {}) {
+    await this.registerTask({ ...node, id: taskId, dependsOn: dependsOn || [], retries, timeoutMs });
     for (const d of dependsOn || []) this.addDependency(taskId, d);
 
-    // create a wrapper that waits for deps then runs the function in queue
+    const fail = async (err) => {
+      const cancelled = isAbortError(err) || (signal && signal.aborted);
+      const status = cancelled ? "cancelled" : err && err.skipped ? "skipped" : "failed";
+      if (this.eventBus && status !== "failed") this.eventBus.emit(`workflow.task.${status}`, { taskId, reason: String(err) });
+      await this._settleTask(taskId, status, err);
+      throw err;
+    };
+
+    try {
+      await this._waitForDeps(taskId, dependsOn || [], timeoutMs, signal);
+    } catch (err) {
+      return fail(err);
+    }
+
+    // run the function in the queue once its dependencies completed
     const wrapper = async () => {
-      await this._waitForDeps(dependsOn || [], timeoutMs);
-      if (this.eventBus) this.eventBus.emit("workflow.task.starting", { taskId, deps: dependsOn });
-      const res = await this._withRetry(fn, { retries, backoffMs: 500 });
-      if (this.eventBus) this.eventBus.emit("workflow.task.finished", { taskId, result: res });
-      return res;
+      try {
+        throwIfAborted(signal, "Workflow task");
+        const def = this.nodes.get(taskId) || {};
+        const scope = this.scopeFor(def.rootTaskId);
+        if (def.when !== undefined && def.when !== null && !evaluateCondition(def.when, scope)) {
+          const err = new Error(`Skipped ${taskId}: condition ${JSON.stringify(def.when)} is false`);
+          err.skipped = true;
+          throw err;
+        }
+        if (this.eventBus) this.eventBus.emit("workflow.task.starting", { taskId, deps: dependsOn });
+        const res = await this._withRetry(fn, { retries, backoffMs: 500, signal, scope });
+        if (this.eventBus) this.eventBus.emit("workflow.task.finished", { taskId, result: res });
+        await this._settleTask(taskId, "completed", res);
+        return res;
+      } catch (err) {
+        return fail(err);
+      }
     };
 
     return this.queue.add(wrapper);
   }
 
   /**
-   * Run a set of steps (array of { id, fn, dependsOn })
-   * Returns Promise.allSettled of scheduled tasks.
+   * validateGraph - throws on dependencies that are neither steps of this run nor known tasks,
+   * and on cycles among the steps
    */
-  async runGraph(rootTaskId, steps = [], opts = {}) {
-    // register and wire dependencies
+  validateGraph(steps = []) {
+    const ids = new Set(steps.map((s) => s.id));
     for (const s of steps) {
-      await this.registerTask({ id: s.id });
-      for (const d of s.dependsOn || []) this.addDependency(s.id, d);
+      for (const d of s.dependsOn || []) {
+        if (!ids.has(d) && !(this.taskManager && this.taskManager.getTask(d))) {
+          throw new Error(`Unknown dependency ${d} for step ${s.id}`);
+        }
+      }
     }
-    const promises = steps.map((s) => {
-      return this.scheduleTask(s.id, s.fn, { dependsOn: s.dependsOn || [], retries: s.retries || 2, timeoutMs: s.timeoutMs || 120000 });
-    });
-    return Promise.allSettled(promises);
+
+    const byId = new Map(steps.map((s) => [s.id, s]));
+    const state = new Map(); // id -> "visiting" | "done"
+    const visit = (id, trail) => {
+      if (state.get(id) === "done") return;
+      if (state.get(id) === "visiting") {
+        const cycle = trail.slice(trail.indexOf(id)).concat(id);
+        throw new Error(`Dependency cycle: ${cycle.join(" -> ")}`);
+      }
+      state.set(id, "visiting");
+      for (const d of (byId.get(id) || {}).dependsOn || []) if (byId.has(d)) visit(d, trail.concat(id));
+      state.set(id, "done");
+    };
+    for (const s of steps) visit(s.id, []);
+  }
+
+  /**
+   * Run a set of steps (array of { id, fn, dependsOn, retries?, timeoutMs?, node? }); node holds the
+   * serialisable part of the step definition (e.g. { tool, args }) persisted for resume.
+   * Returns Promise.allSettled of scheduled tasks; rejects up front on unknown dependencies or cycles.
+   * opts.signal cancels the whole run; so does cancel(rootTaskId) while it is in flight.
+   * opts.settled ([{ id, node }]) are steps of the root that already ran (e.g. when retrying the
+   * rest): they are registered for the run's scope but not scheduled.
+   * Once every step settles the root's nodes are dropped (see forget); they are only kept for
+   * resuming a run that a restart interrupted.
+   */
+  async runGraph(rootTaskId, steps = [], opts = {}) {
+    const controller = new AbortController();
+    const external = opts.signal || null;
+    const onAbort = () => controller.abort(external.reason);
+    if (external) {
+      if (external.aborted) controller.abort(external.reason);
+      else external.addEventListener("abort", onAbort, { once: true });
+    }
+    this.runs.set(rootTaskId, controller);
+
+    try {
+      try {
+        this.validateGraph(steps);
+      } catch (err) {
+        // nothing ran; record why on every step
+        if (this.eventBus) this.eventBus.emit("workflow.invalid", { rootTaskId, error: err.message });
+        for (const s of steps) await this._settleTask(s.id, "failed", err);
+        throw err;
+      }
+
+      for (const s of opts.settled || []) await this.registerTask({ ...(s.node || {}), id: s.id, rootTaskId });
+      // wire dependencies; scheduleTask persists each node definition
+      for (const s of steps) {
+        for (const d of s.dependsOn || []) this.addDependency(s.id, d);
+      }
+      const promises = steps.map((s) => {
+        return this.scheduleTask(s.id, s.fn, { dependsOn: s.dependsOn || [], retries: s.retries ?? 2, timeoutMs: s.timeoutMs || null, signal: controller.signal, node: { ...(s.node || {}), rootTaskId } });
+      });
+      return await Promise.allSettled(promises);
+    } finally {
+      if (external) external.removeEventListener("abort", onAbort);
+      if (this.runs.get(rootTaskId) === controller) {
+        this.runs.delete(rootTaskId);
+        await this.forget(rootTaskId);
+      }
+    }
+  }
+
+  /**
+   * cancel - abort an in-flight runGraph; returns false if no run is active for rootTaskId
+   */
+  cancel(rootTaskId, reason = "cancelled") {
+    const controller = this.runs.get(rootTaskId);
+    if (!controller) return false;
+    controller.abort(reason);
+    return true;
   }
 }
 
@@ -0,0 +1,148 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import EventBus from "./eventBus.mjs";
+import TaskManager from "./taskManager.mjs";
+import WorkflowEngine from "./workflowEngine.mjs";
+
+function setup() {
+  const eventBus = new EventBus();
+  const taskManager = new TaskManager({ eventBus });
+  const engine = new WorkflowEngine({ taskManager, eventBus });
+  return { eventBus, taskManager, engine };
+}
+
+function named(name, message = name) {
+  const err = new Error(message);
+  err.name = name;
+  return err;
+}
+
+for (const name of ["ToolPolicyError", "ToolValidationError", "ToolThrottledError"]) {
+  test(`a ${name} is not retried`, async () => {
+    const { taskManager, engine } = setup();
+    const root = await taskManager.createTask({ title: "plan" });
+    const step = await taskManager.createTask({ title: "step", parent: root.id });
+    let calls = 0;
+    const [settled] = await engine.runGraph(root.id, [{ id: step.id, retries: 3, fn: async () => { calls++; throw named(name); } }]);
+    assert.equal(settled.status, "rejected");
+    assert.equal(calls, 1);
+    assert.equal(taskManager.getTask(step.id).status, "failed");
+  });
+}
+
+test("an error marked retryable: false is not retried", async () => {
+  const { taskManager, engine } = setup();
+  const step = await taskManager.createTask({ title: "step" });
+  let calls = 0;
+  await engine.runGraph("root", [{ id: step.id, retries: 3, fn: async () => { calls++; throw Object.assign(new Error("no"), { retryable: false }); } }]);
+  assert.equal(calls, 1);
+});
+
+test("other errors are retried", async () => {
+  const { taskManager, engine } = setup();
+  const step = await taskManager.createTask({ title: "step" });
+  let calls = 0;
+  const [settled] = await engine.runGraph("root", [{ id: step.id, retries: 1, fn: async () => { if (++calls === 1) throw new Error("flaky"); return "ok"; } }]);
+  assert.equal(settled.status, "fulfilled");
+  assert.equal(calls, 2);
+  assert.equal(taskManager.getTask(step.id).status, "completed");
+});
+
+test("dependents of a failed step are skipped", async () => {
+  const { taskManager, engine } = setup();
+  const a = await taskManager.createTask({ title: "a" });
+  const b = await taskManager.createTask({ title: "b" });
+  let ranB = false;
+  await engine.runGraph("root", [
+    { id: a.id, retries: 0, fn: async () => { throw named("ToolValidationError"); } },
+    { id: b.id, dependsOn: [a.id], fn: async () => { ranB = true; } },
+  ]);
+  assert.equal(ranB, false);
+  assert.equal(taskManager.getTask(b.id).status, "skipped");
+});
+
+test("cycles are rejected before anything runs", async () => {
+  const { taskManager, engine } = setup();
+  const a = await taskManager.createTask({ title: "a" });
+  const b = await taskManager.createTask({ title: "b" });
+  await assert.rejects(
+    engine.runGraph("root", [{ id: a.id, dependsOn: [b.id], fn: async () => {} }, { id: b.id, dependsOn: [a.id], fn: async () => {} }]),
+    /Dependency cycle/,
+  );
+  assert.equal(taskManager.getTask(a.id).status, "failed");
+});
+
+test("a false when condition skips the step", async () => {
+  const { taskManager, engine } = setup();
+  const a = await taskManager.createTask({ title: "a" });
+  const b = await taskManager.createTask({ title: "b" });
+  let ranB = false;
+  await engine.runGraph("root", [
+    { id: a.id, fn: async () => ({ count: 0 }), node: { stepId: "scan" } },
+    { id: b.id, dependsOn: [a.id], fn: async () => { ranB = true; }, node: { when: "steps.scan.result.count > 0" } },
+  ]);
+  assert.equal(ranB, false);
+  assert.equal(taskManager.getTask(b.id).status, "skipped");
+});
+
+// the workflow_nodes part of the db
+function fakeDb(rows = []) {
+  const nodes = new Map(rows.map((r) => [r.id, r]));
+  return {
+    nodes,
+    deleted: [],
+    async saveWorkflowNode(node) { nodes.set(node.id, { id: node.id, payload: node.payload }); },
+    async listWorkflowNodes() { return Array.from(nodes.values()); },
+    async deleteWorkflowNodes(ids) { for (const id of ids) { nodes.delete(id); this.deleted.push(id); } return ids.length; },
+  };
+}
+
+test("scopeFor only reads the nodes of its own root", async () => {
+  const { engine } = setup();
+  await engine.registerTask({ id: "a1", rootTaskId: "A", stepId: "scan" });
+  await engine.registerTask({ id: "b1", rootTaskId: "B", stepId: "scan" });
+  assert.deepEqual(Object.keys(engine.scopeFor("A").steps).sort(), ["a1", "scan"]);
+  assert.equal(engine.scopeFor("B").steps.scan.id, "b1");
+});
+
+test("a settled run drops its nodes from memory and the db", async () => {
+  const eventBus = new EventBus();
+  const taskManager = new TaskManager({ eventBus });
+  const db = fakeDb();
+  const engine = new WorkflowEngine({ taskManager, eventBus, db });
+  const step = await taskManager.createTask({ title: "step" });
+  await engine.runGraph("root", [{ id: step.id, fn: async () => "ok" }]);
+  assert.equal(engine.nodes.size, 0);
+  assert.equal(engine.byRoot.size, 0);
+  assert.equal(db.nodes.size, 0);
+  assert.deepEqual(db.deleted, [step.id]);
+});
+
+test("loadFromDb drops finished roots and resumes the rest with their settled siblings in scope", async () => {
+  const eventBus = new EventBus();
+  const taskManager = new TaskManager({ eventBus });
+  const done = await taskManager.createTask({ title: "done" });
+  await taskManager.completeTask(done.id, { count: 3 });
+  const old = await taskManager.createTask({ title: "old" });
+  await taskManager.completeTask(old.id, null);
+  const pending = await taskManager.createTask({ title: "pending" });
+  const db = fakeDb([
+    { id: old.id, payload: { rootTaskId: "finished" } },
+    { id: done.id, payload: { rootTaskId: "live", stepId: "scan" } },
+    { id: pending.id, payload: { rootTaskId: "live", dependsOn: [done.id] } },
+  ]);
+  const engine = new WorkflowEngine({ taskManager, eventBus, db });
+
+  let seen = null;
+  const settledRoots = [];
+  let out;
+  await new Promise((resolve, reject) => {
+    engine.loadFromDb({ buildFn: () => async ({ scope }) => { seen = scope.steps.scan.result; }, onSettled: (root) => { settledRoots.push(root); resolve(); } })
+      .then((res) => { out = res; }, reject);
+  });
+  assert.deepEqual(out.resumed, [pending.id]);
+  assert.deepEqual(seen, { count: 3 });
+  assert.deepEqual(settledRoots, ["live"]);
+  assert.deepEqual(db.deleted.sort(), [old.id, done.id, pending.id].sort());
+  assert.equal(engine.nodes.size, 0);
+});
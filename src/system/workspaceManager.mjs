@@ -0,0 +1,78 @@
+// src/system/workspaceManager.mjs
+/**
+ * WorkspaceManager - one kryonexDb per workspace root.
+ *
+ * Client roots (roots/list) are mapped to { root, db } workspaces. Databases are opened
+ * lazily at <root>/.kryonex/db.sqlite and shared between sessions that report the same root.
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+
+class WorkspaceManager {
+  /**
+   * @param {object} opts
+   * @param {(dbPath: string) => Promise<any>} opts.openDb
+   * @param {Record<string, any>} [opts.seed] already opened databases keyed by root
+   */
+  constructor({ openDb, seed = {} } = {}) {
+    if (typeof openDb !== "function") throw new Error("WorkspaceManager requires openDb");
+    this.openDb = openDb;
+    this.workspaces = new Map(); // root -> Promise<{ root, db }>
+    for (const [root, db] of Object.entries(seed)) {
+      const r = path.resolve(root);
+      this.workspaces.set(r, Promise.resolve({ root: r, db }));
+    }
+  }
+
+  /**
+   * rootsFromUris - converts roots/list entries to absolute paths (file:// only)
+   */
+  static rootsFromUris(roots = []) {
+    const out = [];
+    for (const r of roots) {
+      if (!r || typeof r.uri !== "string" || !r.uri.startsWith("file://")) continue;
+      try { out.push(path.resolve(fileURLToPath(r.uri))); } catch (e) { /* ignore malformed uri */ }
+    }
+    return [...new Set(out)];
+  }
+
+  /**
+   * pickRoot - the root containing one of the candidate paths, else the first root
+   */
+  static pickRoot(roots = [], candidates = []) {
+    for (const c of candidates) {
+      if (typeof c !== "string" || !path.isAbsolute(c)) continue;
+      const p = path.resolve(c);
+      // longest match wins for nested roots
+      const match = roots
+        .filter((r) => p === r || p.startsWith(r + path.sep))
+        .sort((a, b) => b.length - a.length)[0];
+      if (match) return match;
+    }
+    return roots[0] || null;
+  }
+
+  async get(root) {
+    const r = path.resolve(root);
+    if (!this.workspaces.has(r)) {
+      const p = this.openDb(path.join(r, ".kryonex", "db.sqlite")).then((db) => ({ root: r, db }));
+      // forget failed opens so a later call can retry
+      p.catch(() => this.workspaces.delete(r));
+      this.workspaces.set(r, p);
+    }
+    return this.workspaces.get(r);
+  }
+
+  async closeAll() {
+    for (const p of this.workspaces.values()) {
+      try {
+        const { db } = await p;
+        if (db && typeof db.close === "function") db.close();
+      } catch (e) { /* ignore */ }
+    }
+    this.workspaces.clear();
+  }
+}
+
+export default WorkspaceManager;
@@ -6,7 +6,8 @@ export default {
   schema: {
     type: "object",
     properties: { projectRoot: { type: "string" }, relativePath: { type: "string" } },
-    required: ["projectRoot","relativePath"]
+    required: ["relativePath"]
   },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
   handler: analyzeCodeFile
 };
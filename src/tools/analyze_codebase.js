@@ -9,7 +9,8 @@ export default {
       projectRoot: { type: "string" },
       query: { type: "string" }
     },
-    required: ["projectRoot", "query"]
+    required: ["query"]
   },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
   handler: analyzeCodebase
 };
@@ -10,6 +10,7 @@ export default {
     },
     required: ["filePath", "patch"],
   },
+  annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: false },
 
   handler: async (args, context) => {
     return await codePatchPlugin(args, context);
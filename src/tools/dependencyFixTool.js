@@ -79,7 +79,9 @@ export async function handler({ force = false, workspaceRoot }, context) {
 // ✅ Name and description must be exported BY NAME (MCP requires this)
 export const name = "auto_fix_dependencies";
 export const description = "Fixes missing dependencies (sqlite3, ollama, etc.), ensures node_modules exists.";
+// runs `npm install` in the workspace
+export const annotations = { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true };
 
 // ✅ MCP tool default export
-const tool = { name, description, schema, handler };
+const tool = { name, description, schema, annotations, handler };
 export default tool;
@@ -45,7 +45,8 @@ const dependencyGraphTool = {
         },
         required: []
     },
-    handler: async (args, context) => {
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+    handler: async (args, context, { onProgress } = {}) => {
         const { memoryService, db } = context; // Extract memoryService and db from context
         const workspaceFolder = context?.workspaceFolder || process.cwd();
         let { startPath: initialStartPath, filePatterns = ["**/*.js", "**/*.ts", "**/*.py"] } = args;
@@ -238,8 +239,9 @@ const dependencyGraphTool = {
             }
         }
 
-        for (const file of allFiles) {
-            await processFile(file.fullPath); // Use file.fullPath
+        for (let i = 0; i < allFiles.length; i++) {
+            await processFile(allFiles[i].fullPath); // Use file.fullPath
+            if (onProgress) onProgress({ progress: i + 1, total: allFiles.length, message: `Processed ${allFiles[i].fullPath}` });
         }
         logDebug(`📄 Files detected: ${allFiles.length}`);
 
@@ -272,5 +274,6 @@ const dependencyGraphTool = {
 export const name = dependencyGraphTool.name;
 export const description = dependencyGraphTool.description;
 export const schema = dependencyGraphTool.schema;
+export const annotations = dependencyGraphTool.annotations;
 export const handler = dependencyGraphTool.handler;
 export default dependencyGraphTool;
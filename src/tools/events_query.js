@@ -0,0 +1,34 @@
+import { queryEvents } from "../controllers/events/query.js";
+
+export default {
+  name: "events_query",
+  description: "Query stored events (oldest first) by name pattern (task.*, workflow.**) and time range; page with nextCursor",
+  schema: {
+    type: "object",
+    properties: {
+      since: {
+        anyOf: [{ type: "string" }, { type: "number" }],
+        description: "ISO timestamp, or an event id (e.g. the previous nextCursor) to continue after"
+      },
+      until: { type: "string", description: "ISO timestamp" },
+      pattern: {
+        anyOf: [
+          { type: "string" },
+          { type: "array", items: { type: "string" } }
+        ],
+        description: "Event name pattern(s): * matches one segment, ** any number"
+      },
+      limit: { type: "number", default: 100 }
+    }
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      events: { type: "array", items: { type: "object" } },
+      nextCursor: { type: ["number", "null"] }
+    },
+    required: ["events", "nextCursor"]
+  },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
+  handler: queryEvents
+};
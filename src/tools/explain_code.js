@@ -9,7 +9,8 @@ export default {
       projectRoot: { type: "string" },
       code: { type: "string" }
     },
-    required: ["projectRoot", "code"]
+    required: ["code"]
   },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
   handler: explainCode
 };
@@ -1,19 +1,31 @@
-import { ingestProject } from "../controllers/projectManager/ingest.js";
+import { queueIngest } from "../controllers/projectManager/ingest.js";
 
 /**
- * @param {{projectRoot?:string, scanned?:any[]}} args
- * @param {{projectRoot?:string}} context
+ * @param {{projectRoot?:string, scanned?:any[], queue?:boolean, wait?:boolean}} args
+ * @param {{projectRoot?:string, system?:{jobWorker?:any}}} context
  */
 export default {
   name: "ingest_project",
-  description: "Ingest project files into vector store (support pre-scanned payload)",
+  description: "Ingest project files into vector store (support pre-scanned payload); queue: true runs it as a durable background job",
   schema: {
     type: "object",
     properties: {
       projectRoot: { type: "string" },
-      scanned: { type: "array" }
+      scanned: { type: "array" },
+      queue: { type: "boolean", default: false, description: "Run as a background job that survives a restart (the job rescans the project)" },
+      wait: { type: "boolean", default: true, description: "With queue: wait for the job and return its result; false returns the jobId right away" }
+    }
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      projectRoot: { type: "string" },
+      jobId: { type: "string" },
+      status: { type: "string", enum: ["queued", "completed"] },
+      chunkedFiles: { type: "number" }
     },
     required: ["projectRoot"]
   },
-  handler: ingestProject
+  annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+  handler: queueIngest
 };
@@ -0,0 +1,24 @@
+import { listJobs } from "../controllers/jobs/list.js";
+
+export default {
+  name: "job_list",
+  description: "Background job queue: ready, delayed, in-flight and dead-lettered counts, and the queued jobs (oldest first)",
+  schema: {
+    type: "object",
+    properties: {
+      status: { type: "string", enum: ["ready", "inflight", "dead"], description: "Only jobs with this status" },
+      limit: { type: "number", default: 50 }
+    }
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      stats: { type: "object" },
+      types: { type: "array", items: { type: "string" } },
+      jobs: { type: "array", items: { type: "object" } }
+    },
+    required: ["stats", "jobs"]
+  },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
+  handler: listJobs
+};
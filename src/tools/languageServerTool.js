@@ -56,6 +56,7 @@ const languageServerTool = {
         },
         required: ['action', 'language']
     },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
 
     handler: async (args, context) => {
         const { workspaceFolder, projectRoot, db } = context;
@@ -206,5 +207,6 @@ function generatePatch(original, fixed) {
 export const name = languageServerTool.name;
 export const description = languageServerTool.description;
 export const schema = languageServerTool.schema;
+export const annotations = languageServerTool.annotations;
 export const handler = languageServerTool.handler;
 export default languageServerTool;
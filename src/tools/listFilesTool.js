@@ -13,6 +13,15 @@ const listFilesTool = {
     },
     required: ["path"],
   },
+  outputSchema: {
+    type: "object",
+    properties: {
+      success: { type: "boolean" },
+      files: { type: "array", items: { type: "string" } },
+    },
+    required: ["success", "files"],
+  },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
 
   handler: async ({ path: relPath, recursive }, context) => {
     const target = resolveWorkspacePath(context, relPath);
@@ -41,6 +50,8 @@ const listFilesTool = {
 export const name = listFilesTool.name;
 export const description = listFilesTool.description;
 export const schema = listFilesTool.schema;
+export const annotations = listFilesTool.annotations;
+export const outputSchema = listFilesTool.outputSchema;
 export const handler = listFilesTool.handler;
 
 export default listFilesTool;
@@ -70,6 +70,7 @@ export default {
     },
     required: ["action"],
   },
+  annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true },
 
   handler: async (args, context) => {
     const projectRoot = context.projectRoot;
@@ -11,6 +11,7 @@ const ollamaTool = {
         },
         required: ["prompt"]
     },
+    annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
 
     handler: async ({ prompt }, context) => {
         let output = "";
@@ -51,6 +52,7 @@ const ollamaTool = {
 export const name = ollamaTool.name;
 export const description = ollamaTool.description;
 export const schema = ollamaTool.schema;
+export const annotations = ollamaTool.annotations;
 export const handler = ollamaTool.handler;
 
 export default ollamaTool;
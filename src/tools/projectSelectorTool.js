@@ -21,6 +21,7 @@ export default {
     },
     required: ["action"],
   },
+  annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
 
   handler: async (args, context) => {
     const projectRoot = context.projectRoot;
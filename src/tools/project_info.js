@@ -9,8 +9,16 @@ export default {
   description: "Return Kryonex project config and paths",
   schema: {
     type: "object",
-    properties: { projectRoot: { type: "string" } },
-    required: ["projectRoot"]
+    properties: { projectRoot: { type: "string" } }
   },
+  outputSchema: {
+    type: "object",
+    properties: {
+      projectRoot: { type: "string" },
+      config: { type: "object" }
+    },
+    required: ["projectRoot", "config"]
+  },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
   handler: projectInfo
 };
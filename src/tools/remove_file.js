@@ -13,7 +13,13 @@ export default {
       projectRoot: { type: "string" },
       relativePath: { type: "string" }
     },
-    required: ["projectRoot", "relativePath"]
+    required: ["relativePath"]
   },
+  outputSchema: {
+    type: "object",
+    properties: { removed: { type: "string" } },
+    required: ["removed"]
+  },
+  annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
   handler: removeFile
 };
@@ -9,8 +9,17 @@ export default {
   description: "Scan project and return metadata & content",
   schema: {
     type: "object",
-    properties: { projectRoot: { type: "string" } },
-    required: ["projectRoot"]
+    properties: { projectRoot: { type: "string" } }
   },
+  outputSchema: {
+    type: "object",
+    properties: {
+      projectRoot: { type: "string" },
+      scannedCount: { type: "number" },
+      scanned: { type: "array" }
+    },
+    required: ["projectRoot", "scannedCount", "scanned"]
+  },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
   handler: scanProject
 };
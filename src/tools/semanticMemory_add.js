@@ -10,7 +10,13 @@ export default {
       text: { type: "string" },
       tags: { type: "array", items: { type: "string" } }
     },
-    required: ["projectRoot", "text"]
+    required: ["text"]
   },
+  outputSchema: {
+    type: "object",
+    properties: { id: { type: "string" }, saved: { type: "boolean" } },
+    required: ["id", "saved"]
+  },
+  annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
   handler: addMemory
 };
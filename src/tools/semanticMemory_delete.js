@@ -6,7 +6,17 @@ export default {
   schema: {
     type: "object",
     properties: { projectRoot: { type: "string" }, id: { type: "string" } },
-    required: ["projectRoot", "id"]
+    required: ["id"]
   },
+  outputSchema: {
+    type: "object",
+    properties: {
+      removed: { type: "boolean" },
+      id: { type: "string" },
+      reason: { type: "string" }
+    },
+    required: ["removed"]
+  },
+  annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
   handler: deleteMemory
 };
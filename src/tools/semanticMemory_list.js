@@ -5,8 +5,8 @@ export default {
   description: "List semantic memory entries",
   schema: {
     type: "object",
-    properties: { projectRoot: { type: "string" } },
-    required: ["projectRoot"]
+    properties: { projectRoot: { type: "string" } }
   },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
   handler: listMemory
 };
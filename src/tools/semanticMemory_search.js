@@ -11,7 +11,8 @@ export default {
       topK: { type: "number" },
       tags: { type: "array", items: { type: "string" } }
     },
-    required: ["projectRoot", "query"]
+    required: ["query"]
   },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
   handler: searchMemory
 };
@@ -27,6 +27,7 @@ export default {
     type: "object",
     properties: {},
   },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
 
   handler: async (_, context) => {
     const root = context.projectRoot;
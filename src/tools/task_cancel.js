@@ -0,0 +1,16 @@
+import { cancelTask } from "../controllers/tasks/cancel.js";
+
+export default {
+  name: "task_cancel",
+  description: "Cancel a running planner run (plan task id or one of its step task ids); its unfinished steps are recorded as cancelled",
+  schema: {
+    type: "object",
+    properties: {
+      taskId: { type: "string" },
+      reason: { type: "string", description: "Recorded as the cancelled tasks' error" }
+    },
+    required: ["taskId"]
+  },
+  annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
+  handler: cancelTask
+};
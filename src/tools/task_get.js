@@ -0,0 +1,21 @@
+import { getTask } from "../controllers/tasks/get.js";
+
+export default {
+  name: "task_get",
+  description: "Get a task with its steps, result, error, timings and child tasks",
+  schema: {
+    type: "object",
+    properties: { taskId: { type: "string" } },
+    required: ["taskId"]
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      task: { type: "object" },
+      children: { type: "array", items: { type: "object" } }
+    },
+    required: ["task", "children"]
+  },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
+  handler: getTask
+};
@@ -0,0 +1,31 @@
+import { listTasks } from "../controllers/tasks/list.js";
+
+export default {
+  name: "task_list",
+  description: "List tasks (most recently updated first), filtered by status, parent task or title",
+  schema: {
+    type: "object",
+    properties: {
+      status: {
+        anyOf: [
+          { type: "string" },
+          { type: "array", items: { type: "string" } }
+        ],
+        description: "pending, running, completed, partially_failed, failed, cancelled, interrupted or skipped (or several)"
+      },
+      parent: { type: "string", description: "Parent task id, or \"none\" for top-level tasks" },
+      title: { type: "string", description: "Case-insensitive title substring" },
+      limit: { type: "number", default: 50 }
+    }
+  },
+  outputSchema: {
+    type: "object",
+    properties: {
+      total: { type: "number" },
+      tasks: { type: "array", items: { type: "object" } }
+    },
+    required: ["total", "tasks"]
+  },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
+  handler: listTasks
+};
@@ -0,0 +1,16 @@
+import { retryTask } from "../controllers/tasks/retry.js";
+
+export default {
+  name: "task_retry",
+  description: "Re-run the failed, cancelled or skipped steps of a planner run (plan task id or a single step task id)",
+  schema: {
+    type: "object",
+    properties: {
+      taskId: { type: "string" },
+      wait: { type: "boolean", default: false, description: "Wait for the re-run and return the rolled-up result; by default the task id is returned right away" }
+    },
+    required: ["taskId"]
+  },
+  annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
+  handler: retryTask
+};
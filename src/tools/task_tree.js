@@ -0,0 +1,21 @@
+import { taskTree } from "../controllers/tasks/tree.js";
+
+export default {
+  name: "task_tree",
+  description: "Get a task and its sub-tasks as a tree, e.g. a planner run and its steps",
+  schema: {
+    type: "object",
+    properties: {
+      taskId: { type: "string" },
+      maxDepth: { type: "number", default: 10 }
+    },
+    required: ["taskId"]
+  },
+  outputSchema: {
+    type: "object",
+    properties: { tree: { type: "object" } },
+    required: ["tree"]
+  },
+  annotations: { readOnlyHint: true, idempotentHint: true, openWorldHint: false },
+  handler: taskTree
+};
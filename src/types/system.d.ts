@@ -4,6 +4,11 @@ declare class EventBus {
   emitPersisted(name: string, payload?: any): Promise<void>;
   emit(name: string, payload?: any): boolean;
   on(event: string, listener: (...args: any[]) => void): this;
+  subscribe(pattern: string, listener: (payload: any, name: string) => void): () => void;
+  replay(since?: number | string | Date | null, filter?: string | string[] | ((evt: any) => boolean) | null, opts?: { until?: string | Date | null; limit?: number; pageSize?: number }): AsyncGenerator<{ id: number; name: string; payload: any; ts: string }>;
+  prune(opts?: { maxAgeMs?: number | null; maxCount?: number | null }): Promise<number>;
+  startRetention(opts?: { maxAgeMs?: number | null; maxCount?: number | null; intervalMs?: number }): () => void;
+  stopRetention(): void;
 }
 
 declare class TaskManager {
@@ -17,8 +22,13 @@ declare class TaskManager {
   startStep(taskId: string, stepId: string): Promise<any>;
   completeStep(taskId: string, stepId: string, result?: any): Promise<any>;
   failStep(taskId: string, stepId: string, error?: any): Promise<any>;
+  cancelStep(taskId: string, stepId: string, reason?: any): Promise<any>;
   completeTask(id: string, result?: any): Promise<any>;
-  failTask(id: string, error?: any): Promise<any>;
+  failTask(id: string, error?: any, result?: any): Promise<any>;
+  partiallyFailTask(id: string, error?: any, result?: any): Promise<any>;
+  cancelTask(id: string, reason?: any): Promise<any>;
+  interruptTask(id: string, reason?: any): Promise<any>;
+  skipTask(id: string, reason?: any): Promise<any>;
 }
 
 declare class WorkflowEngine {
@@ -29,13 +39,33 @@ declare class WorkflowEngine {
     concurrency?: number;
   });
   registerTask(task: any): any;
+  forget(rootTaskId: string): Promise<number>;
+  loadFromDb(opts?: {
+    buildFn?: (node: any, task: any) => any;
+    resume?: boolean;
+    onSettled?: (rootTaskId: string) => any;
+  }): Promise<{ resumed: string[]; interrupted: string[] }>;
   addDependency(taskId: string, dependsOn: string): void;
   scheduleTask(
     taskId: string,
-    fn: () => Promise<any>,
-    opts?: { dependsOn?: string[]; retries?: number; timeoutMs?: number }
+    fn: (opts: { signal?: AbortSignal; scope?: any }) => Promise<any>,
+    opts?: { dependsOn?: string[]; retries?: number; timeoutMs?: number | null; signal?: AbortSignal; node?: any }
   ): Promise<any>;
-  runGraph(rootTaskId: string, steps: Array<any>, opts?: any): Promise<any>;
+  validateGraph(steps?: Array<any>): void;
+  scopeFor(rootTaskId: string): { steps: Record<string, any> };
+  runs: Map<string, AbortController>;
+  runGraph(rootTaskId: string, steps: Array<any>, opts?: { signal?: AbortSignal; settled?: Array<{ id: string; node?: any }> }): Promise<any>;
+  cancel(rootTaskId: string, reason?: any): boolean;
+}
+
+interface ResultCache {
+  isCached(toolName: string): boolean;
+  key(toolName: string, args: any, projectRoot?: string | null): string;
+  get(toolName: string, args: any, projectRoot?: string | null): { result: any; key: string; ageMs: number } | null;
+  set(toolName: string, args: any, projectRoot: string | null, result: any): void;
+  invalidate(projectRoot?: string | null): number;
+  stats(): { hits: number; misses: number; invalidations: number; entries: number };
+  close(): void;
 }
 
 declare class ToolRunner {
@@ -46,7 +76,12 @@ declare class ToolRunner {
     semanticStore?: any;
     validator?: any;
     rectifier?: any;
+    readOnly?: boolean;
+    limits?: Record<string, { timeoutMs?: number; maxConcurrent?: number; callsPerMinute?: number; queueTimeoutMs?: number }>;
+    cache?: ResultCache | null;
   });
+  readOnly: boolean;
+  cache: ResultCache | null;
   call(
     toolHandlers: Record<string, Function>,
     toolName: string,
@@ -58,6 +93,7 @@ declare class ToolRunner {
 
 // Module declarations
 declare module "./system/eventBus.mjs" {
+  export function matchEvent(pattern: string, name: string): boolean;
   export default EventBus;
 }
 
@@ -80,6 +116,40 @@ declare module "./system/taskQueue.mjs" {
     push(payload: any): Promise<void>;
     popBlocking(timeout?: number): Promise<any>;
   }
+  export class SqliteQueue {
+    constructor(db: any, queueName?: string, opts?: { visibilityTimeoutMs?: number; maxAttempts?: number; backoffMs?: number; pollMs?: number });
+    push(payload: any, opts?: { priority?: number; delayMs?: number; maxAttempts?: number }): Promise<string>;
+    pop(): Promise<any>;
+    popBlocking(timeout?: number): Promise<any>;
+    ack(job: any): Promise<boolean>;
+    nack(job: any, error?: any, opts?: { delayMs?: number | null }): Promise<string | null>;
+    extend(job: any, ms?: number): Promise<boolean>;
+    length(): Promise<number>;
+    stats(): Promise<{ ready: number; delayed: number; inflight: number; dead: number }>;
+    deadLetters(limit?: number): Promise<any[]>;
+    requeue(id: string): Promise<boolean>;
+    release(job: any): Promise<boolean>;
+    remove(id: string): Promise<boolean>;
+    list(opts?: { status?: string | null; limit?: number }): Promise<any[]>;
+    process(handler: (payload: any, job: any) => any, opts?: { concurrency?: number }): () => Promise<void>;
+  }
+}
+
+declare module "./system/jobWorker.mjs" {
+  export default function createJobWorker(opts: {
+    jobQueue: any;
+    handlers?: Record<string, (args: any, context: any, opts: { signal: AbortSignal; onProgress: (p: any) => void }) => any>;
+    contextFor?: (job: { type: string; args: any; projectRoot: string | null }) => any;
+    eventBus?: any;
+    concurrency?: number;
+  }): {
+    types(): string[];
+    enqueue(type: string, args?: any, opts?: { projectRoot?: string | null; priority?: number; delayMs?: number; maxAttempts?: number }): Promise<string>;
+    cancel(id: string): Promise<boolean>;
+    wait(id: string, opts?: { signal?: AbortSignal | null; onProgress?: ((p: { progress?: number; total?: number; message?: string }) => void) | null }): Promise<any>;
+    start(): void;
+    stop(): Promise<void>;
+  };
 }
 
 declare module "./system/toolRunner.mjs" {
@@ -87,17 +157,171 @@ declare module "./system/toolRunner.mjs" {
 }
 
 declare module "./system/validator.mjs" {
-  export default function createValidator(opts?: { ollamaTool?: any }): {
-    validateToolCall({ toolName, args, context }?: {}): Promise<any>;
+  type FieldError = { field: string; keyword: string; message: string };
+  type ValidationResult = { accepted: boolean; reason?: string; args?: any; errors?: FieldError[] };
+  export function schemaErrors(ajvErrors?: any[]): FieldError[];
+  export function toolValidationError(toolName: string, reason: string, errors?: FieldError[]): Error & { errors: FieldError[] };
+  export function isToolValidationError(e: any): e is Error & { errors: FieldError[] };
+  export default function createValidator(opts?: { ollamaTool?: any; llmCheck?: boolean; policy?: any }): {
+    checkSchema(toolName: string, schema: any, args: any): ValidationResult;
+    validateToolCall(opts?: { toolName?: string; args?: any; context?: any; schema?: any; skipLlm?: boolean }): Promise<ValidationResult & { final?: boolean; policy?: any }>;
+  };
+}
+
+declare module "./system/policyEngine.mjs" {
+  type PolicyEffect = "allow" | "deny" | "confirm";
+  type PolicyDecision = {
+    toolName: string;
+    effect: PolicyEffect;
+    allowed: boolean;
+    confirmed?: boolean;
+    ruleId: string | null;
+    reason: string;
+    source: string;
+    projectRoot: string | null;
+    args: any;
+    ts: string;
+  };
+  export function policyDeniedError(toolName: string, decision: PolicyDecision): Error & { decision: PolicyDecision };
+  export function isPolicyDeniedError(e: any): e is Error & { decision: PolicyDecision };
+  export function globToRegExp(glob: string): RegExp;
+  export function parsePolicy(text: string, source?: string): { default: PolicyEffect; rules: any[] };
+  export default function createPolicyEngine(opts?: {
+    baseDir?: string | null;
+    file?: string;
+    eventBus?: EventBus | null;
+    warn?: (m: string, ...a: any[]) => void;
+  }): {
+    evaluate(opts: { toolName: string; args?: any; context?: any }): Promise<{ effect: PolicyEffect; ruleId: string | null; reason: string; message?: string | null; source: string } | null>;
+    check(opts: { toolName: string; args?: any; context?: any }): Promise<{ allowed: boolean; decision: PolicyDecision | null }>;
   };
 }
 
 declare module "./system/rectifier.mjs" {
-  export default function createRectifier(opts?: { ollamaTool?: any }): {
-    rectify({ toolName, args, context, reason }?: {}): Promise<any>;
+  type ArgDiff = { path: string; op: "add" | "remove" | "change"; before?: any; after?: any };
+  export function rectifyWithSchema(schema: any, args: any, opts?: { root?: string | null }): { args: any; fixes: string[] };
+  export function diffArgs(before: any, after: any, at?: string): ArgDiff[];
+  export default function createRectifier(opts?: { ollamaTool?: any; validator?: any; llmFallback?: boolean }): {
+    rectify(opts?: { toolName?: string; args?: any; context?: any; reason?: string; errors?: any[]; schema?: any }): Promise<{ args: any; source: "rules" | "llm"; fixes: string[]; diff: ArgDiff[] } | null>;
+  };
+}
+
+declare module "./system/resourceProvider.mjs" {
+  export default function createResourceProvider(opts?: { taskManager?: TaskManager }): {
+    listResources(context?: any): Promise<any[]>;
+    listResourceTemplates(): any[];
+    readResource(uri: string, context?: any): Promise<any | null>;
   };
 }
 
+declare module "./system/resourceSubscriptions.mjs" {
+  export default class ResourceSubscriptions {
+    constructor(opts?: { eventBus?: EventBus; notify?: (uri: string) => Promise<void> });
+    subscribe(uri: string): void;
+    unsubscribe(uri: string): void;
+    has(uri: string): boolean;
+    attach(): void;
+    detach(): void;
+  }
+}
+
+declare module "./system/promptLibrary.mjs" {
+  export default function createPromptLibrary(opts?: { rag?: any; memorySearch?: any }): {
+    listPrompts(): any[];
+    has(name: string): boolean;
+    getPrompt(name: string, args?: Record<string, any>, context?: any): Promise<any>;
+  };
+}
+
+declare module "./system/httpTransport.mjs" {
+  export function startHttpTransport(opts: {
+    createServer: (session: any) => any;
+    host?: string;
+    port?: number;
+    path?: string;
+    log?: (msg: string, ...a: any[]) => void;
+  }): Promise<{ httpServer: any; sessions: Map<string, any>; close(): Promise<void> }>;
+  export default startHttpTransport;
+}
+
+declare module "./system/workspaceManager.mjs" {
+  export default class WorkspaceManager {
+    constructor(opts: { openDb: (dbPath: string) => Promise<any>; seed?: Record<string, any> });
+    static rootsFromUris(roots?: Array<{ uri: string; name?: string }>): string[];
+    static pickRoot(roots?: string[], candidates?: any[]): string | null;
+    get(root: string): Promise<{ root: string; db: any }>;
+    closeAll(): Promise<void>;
+  }
+}
+
+declare module "./system/toolLoader.mjs" {
+  export default class ToolLoader {
+    constructor(opts: {
+      toolsDir: string;
+      toolHandlers: Record<string, any>;
+      log?: (m: string, ...a: any[]) => void;
+      warn?: (m: string, ...a: any[]) => void;
+      debounceMs?: number;
+    });
+    loadFile(f: string, opts?: { bust?: boolean }): Promise<boolean>;
+    unloadFile(f: string): boolean;
+    loadAll(): Promise<void>;
+    watch(onChange?: (file: string) => any): void;
+    close(): void;
+  }
+}
+
+declare module "./system/pluginLoader.mjs" {
+  export function validatePlugin(mod: any): { def?: any; error?: string };
+  export default class PluginLoader {
+    constructor(opts: {
+      toolHandlers: Record<string, any>;
+      config?: Record<string, any>;
+      projectPlugins?: boolean | string[];
+      log?: (m: string, ...a: any[]) => void;
+      warn?: (m: string, ...a: any[]) => void;
+    });
+    allowsProject(projectRoot: string): boolean;
+    loadFile(file: string, opts?: { source?: string; tools?: Record<string, any>; root?: string | null }): Promise<boolean>;
+    loadDir(dir: string, opts?: { source?: string; tools?: Record<string, any>; root?: string | null }): Promise<number>;
+    loadProject(projectRoot: string): Promise<number>;
+    toolsFor(roots?: string[]): Record<string, any>;
+    list(): Array<{ file: string; name: string | null; source: string; root?: string | null; status: string; error?: string }>;
+  }
+}
+
+declare module "./system/toolOutput.mjs" {
+  export default function createToolOutput(opts?: { jsonSchemaValidator?: any }): {
+    toCallToolResult(
+      toolName: string,
+      result: any,
+      outputSchema?: any
+    ): { content: Array<{ type: "text"; text: string }>; structuredContent?: Record<string, unknown>; isError?: boolean };
+  };
+}
+
+declare module "./system/eventSinks.mjs" {
+  export function redactPayload(value: any, keys?: string[]): any;
+  export default function createEventSinks(opts: {
+    eventBus: EventBus;
+    sinks?: any[];
+    baseDir?: string;
+    warn?: (m: string, ...a: any[]) => void;
+  }): { list(): string[]; flush(): Promise<void>; close(): Promise<void> };
+}
+
+declare module "./system/resultCache.mjs" {
+  export function hashArgs(args: any): string;
+  export function projectRootOf(args: any, context: any): string | null;
+  export default function createResultCache(opts?: {
+    eventBus?: EventBus | null;
+    ttlMs?: number;
+    maxEntries?: number;
+    tools?: Record<string, { ttlMs?: number }>;
+    invalidateOn?: string[];
+  }): ResultCache;
+}
+
 declare module "./agents/plannerAgent.mjs" {
   export default function createPlannerAgent(opts?: {
     ollamaTool?: any;
@@ -105,6 +329,7 @@ declare module "./agents/plannerAgent.mjs" {
     toolRunner?: ToolRunner;
     taskManager?: TaskManager;
     eventBus?: EventBus;
+    previewTtlMs?: number;
   }): any;
 }
 
@@ -146,12 +146,23 @@ async function embedContent(modelName, text, useLocal) {
 }
 
 // --- Main ingestion --------------------------------------------------------
-export async function ingestScannedFiles(projectRoot, scannedFiles) {
+export async function ingestScannedFiles(projectRoot, scannedFiles, { onProgress, signal } = {}) {
   const config = await loadKryonexGeneralConfig(projectRoot);
   const chunkSize = config.chunkSize || 1000;
   const store = await loadVectorStore(projectRoot);
+  const total = scannedFiles.length;
+  let done = 0;
 
   for (const { meta, content } of scannedFiles) {
+    if (signal && signal.aborted) {
+      // keep the files embedded so far; unchanged chunks are skipped on the next run
+      await saveVectorStore(projectRoot, store);
+      const err = new Error(`Ingestion cancelled after ${done}/${total} files`);
+      err.name = "AbortError";
+      throw err;
+    }
+    done++;
+    if (onProgress) onProgress({ progress: done, total, message: `Embedding ${meta.relativePath}` });
     if (meta.isBinary) continue;
     const ext = path.extname(meta.relativePath).toLowerCase();
 